@@ -1,27 +1,50 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
+const path = require('path');
 
-async function saveWebPage(url, outputPath) {
+// Create a file name from the page URL, e.g. "l-2790417.html"
+function getFileName(url) {
+  const { pathname, search } = new URL(url);
+  const name = `${pathname}${search}`
+    .split(/[/?&=]/)
+    .filter(Boolean)
+    .join('-');
+
+  return `${name || 'index'}.html`;
+}
+
+async function saveWebPage(url, outputDir) {
   // Launch the browser
   const browser = await puppeteer.launch();
-  
+
   // Open a new page
   const page = await browser.newPage();
-  
+
   // Navigate to the URL
   await page.goto(url, { waitUntil: 'networkidle2' });
-  
+
   // Get the HTML content
   const html = await page.content();
-  
+
   // Save the HTML to a file
+  const fileName = getFileName(url);
+  const outputPath = path.join(outputDir, fileName);
   fs.writeFileSync(outputPath, html);
-  
+
+  // Register the page in the fixtures index, so it can be used in offline mode
+  const indexPath = path.join(outputDir, 'index.json');
+  const index = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, 'utf8')) : {};
+  index[url] = fileName;
+  fs.writeFileSync(indexPath, `${JSON.stringify(index, null, 2)}\n`);
+
   // Close the browser
   await browser.close();
-  
+
   console.log(`Page saved to ${outputPath}`);
 }
 
-// Usage
-saveWebPage('https://www.drive2.ru/r/toyota/chaser/288230376151952785/', 'example.html');
+// Usage: node html/savePage.js <url> [outputDir]
+const url = process.argv[2] || 'https://www.drive2.ru/r/toyota/chaser/288230376151952785/';
+const outputDir = process.argv[3] || __dirname;
+
+saveWebPage(url, outputDir);
@@ -1,117 +1,313 @@
-import { promises as fs } from 'fs';
-import path from 'path';
 import yargs from 'yargs/yargs';
 import { hideBin } from 'yargs/helpers';
 
 // Import modules
-import { extractCarReview } from './extractCarReview.mjs';
-import { collectBlogPosts } from './collectBlogPosts.mjs';
-import { extractBlogPost } from './extractBlogPost.mjs';
-import { ProgressTracker } from './progressTracker.mjs';
-import { createDirectoryIfNotExists, formatDate, createSafeFilename } from './utils.mjs';
-
-// Parse command line arguments
-const argv = yargs(hideBin(process.argv))
-  .option('input', {
-    alias: 'i',
-    description: 'URL to the DRIVE2 car page',
-    type: 'string',
-    demandOption: true
-  })
-  .option('output', {
+import { Crawler, REMOVED_DIR } from './crawler.mjs';
+import { isUserProfileUrl } from './extractUserCars.mjs';
+import { OUTPUT_FORMATS } from './exporters.mjs';
+import { DEFAULT_FILENAME_TEMPLATE } from './filenames.mjs';
+import { DEFAULT_CONFIG_FILE, loadConfig } from './config.mjs';
+import { LOG_LEVELS } from './logger.mjs';
+import { ARCHIVE_DIR } from './pageArchive.mjs';
+import { BOOK_FORMATS } from './generateBook.mjs';
+import { LINK_STYLES } from './linkPosts.mjs';
+import { DEFAULT_MAX_RETRIES, DEFAULT_RETRY_DELAY, DEFAULT_TIMEOUT, formatDate } from './utils.mjs';
+
+// Options of commands that load pages
+const REQUEST_OPTIONS = {
+  'offline': {
+    description: 'Load pages from saved HTML fixtures instead of the live site',
+    type: 'boolean',
+    default: false
+  },
+  'fixtures': {
+    description: 'Directory with saved HTML pages and their index.json, implies --offline (default: html)',
+    type: 'string'
+  },
+  'concurrency': {
+    alias: 'c',
+    description: 'Number of blog posts extracted in parallel',
+    type: 'number',
+    default: 1
+  },
+  'delay': {
+    description: 'Minimum delay between page requests in milliseconds, shared by all parallel extractions',
+    type: 'number',
+    default: 2000
+  },
+  'requests-per-minute': {
+    description: 'Maximum number of page requests per minute, overrides --delay',
+    type: 'number'
+  },
+  'timeout': {
+    description: 'Page load timeout in milliseconds',
+    type: 'number',
+    default: DEFAULT_TIMEOUT
+  },
+  'retries': {
+    description: 'Number of attempts to load a page or download an image',
+    type: 'number',
+    default: DEFAULT_MAX_RETRIES
+  },
+  'retry-delay': {
+    description: 'Delay after the first failed attempt in milliseconds, doubled after every next one',
+    type: 'number',
+    default: DEFAULT_RETRY_DELAY
+  },
+  'user-agent': {
+    description: 'User-Agent header of page and image requests',
+    type: 'string'
+  }
+};
+
+// Options of commands that collect the list of blog posts
+const FILTER_OPTIONS = {
+  'since': {
+    description: 'Process only posts published on this date or later, as YYYY, YYYY-MM or YYYY-MM-DD',
+    type: 'string'
+  },
+  'until': {
+    description: 'Process only posts published on this date or earlier, as YYYY, YYYY-MM or YYYY-MM-DD',
+    type: 'string'
+  },
+  'category': {
+    description: 'Process only posts of this category, repeat for several ones, prefix with ! to skip a category',
+    type: 'array',
+    string: true
+  },
+  'limit': {
+    description: 'Process only the N latest matching posts by publication date',
+    type: 'number'
+  }
+};
+
+// Options of commands that save posts and reviews
+const OUTPUT_OPTIONS = {
+  'output': {
     alias: 'o',
     description: 'Output directory for markdown files',
     type: 'string',
     demandOption: true
-  })
-  .help()
-  .alias('help', 'h')
-  .argv;
+  },
+  'format': {
+    alias: 'f',
+    description: 'Output formats: markdown files, json files per post, ndjson combined stream',
+    type: 'array',
+    choices: OUTPUT_FORMATS,
+    default: ['markdown']
+  },
+  'download-images': {
+    description: 'Download images into the assets folder and link them locally',
+    type: 'boolean',
+    default: false
+  },
+  'filename-template': {
+    description: 'Template for post file names, placeholders: {date}, {id}, {title}, {slug}, {category}',
+    type: 'string',
+    default: DEFAULT_FILENAME_TEMPLATE
+  },
+  'transliterate': {
+    description: 'Transliterate Cyrillic characters in post file names to Latin ones',
+    type: 'boolean',
+    default: false
+  },
+  'max-filename-length': {
+    description: 'Maximum length of post file names, titles are shortened to fit',
+    type: 'number',
+    default: 120
+  },
+  'comments': {
+    description: 'Extract blog post comments, use --no-comments to skip them',
+    type: 'boolean',
+    default: true
+  },
+  'archive': {
+    description: `Keep the raw HTML of fetched pages in the ${ARCHIVE_DIR} folder to render them again later, ` +
+      'use --no-archive to skip it',
+    type: 'boolean',
+    default: true
+  }
+};
 
-// Main function
-async function main() {
-  const carUrl = argv.input;
-  const outputDir = argv.output;
+// Options of commands that generate reports from all saved posts
+const REPORT_OPTIONS = {
+  'index': {
+    description: 'Generate Index.md and per-category and per-year indexes, use --no-index to skip them',
+    type: 'boolean',
+    default: true
+  },
+  'ledger': {
+    description: 'Generate Ledger.md and ledger.csv with spending per category and year, and mileage over time',
+    type: 'boolean',
+    default: false
+  },
+  'internal-links': {
+    description: 'Style of links between saved posts: relative Markdown links, wiki-links, or links to DRIVE2',
+    type: 'string',
+    choices: LINK_STYLES,
+    default: 'relative'
+  }
+};
 
-  try {
-    // Create output directory if it doesn't exist
-    await createDirectoryIfNotExists(outputDir);
-    console.log(`Output directory: ${outputDir}`);
-
-    // Initialize progress tracker
-    const progress = new ProgressTracker(outputDir);
-    await progress.load();
-
-    if (progress.getProcessedCount() > 0) {
-      console.log(`Resuming from previous progress. ${progress.getProcessedCount()} posts already processed.`);
-    } else {
-      console.log('Starting fresh extraction...');
-    }
+// Options of the export command
+const BOOK_OPTIONS = {
+  'book-format': {
+    description: 'Book formats to export the review and all saved posts into',
+    type: 'array',
+    choices: BOOK_FORMATS,
+    default: BOOK_FORMATS
+  }
+};
 
-    // Extract car review and save as Home.md if not done yet
-    if (!progress.isReviewComplete()) {
-      console.log('Extracting car review...');
-      try {
-        const carReview = await extractCarReview(carUrl);
-        await fs.writeFile(path.join(outputDir, 'Home.md'), carReview);
-        console.log('Car review saved as Home.md');
-
-        // Update progress
-        await progress.markReviewComplete();
-      } catch (error) {
-        console.error('Error extracting car review:', error.message);
-        console.error('Will continue with blog posts collection...');
-      }
-    } else {
-      console.log('Car review already extracted, skipping...');
-    }
+// Options of the crawl command
+const CRAWL_OPTIONS = {
+  'input': {
+    alias: 'i',
+    description: 'URL to the DRIVE2 car page or its logbook, or to a user profile to crawl all of its cars',
+    type: 'string'
+  },
+  'input-file': {
+    description: 'Text or CSV file with URLs to crawl one after another, each with an optional output folder name',
+    type: 'string'
+  },
+  'sync': {
+    description: 'Fetch all posts again, update edited ones and report posts removed from the site',
+    type: 'boolean',
+    default: false
+  },
+  'move-removed': {
+    description: `Move files of posts removed from the site to the ${REMOVED_DIR} folder, used with --sync`,
+    type: 'boolean',
+    default: false
+  },
+  'retry-failed': {
+    description: 'Process only the posts that failed during previous runs',
+    type: 'boolean',
+    default: false
+  }
+};
 
-    // Collect all blog posts
-    console.log('Collecting blog posts...');
-    const blogPosts = await collectBlogPosts(carUrl);
-    console.log(`Found ${blogPosts.length} blog posts`);
-
-    // Filter out already processed posts
-    const remainingPosts = progress.filterRemainingPosts(blogPosts);
-    console.log(`${remainingPosts.length} posts remaining to process`);
-
-    // Extract and save each blog post
-    console.log('Extracting blog posts content...');
-    for (let i = 0; i < remainingPosts.length; i++) {
-      const post = remainingPosts[i];
-      console.log(`Processing post ${i + 1}/${remainingPosts.length}: ${post.title}`);
-
-      try {
-        // Format the date for the filename
-        const dateStr = formatDate(post.date);
-
-        // Format the title for the filename (remove invalid characters)
-        const safeTitle = createSafeFilename(post.title);
-        const fileName = `${dateStr} - ${safeTitle}.md`;
-        const filePath = path.join(outputDir, fileName);
-
-        // Add some delay between requests to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        // Extract and save the blog post
-        const postContent = await extractBlogPost(post.link);
-        await fs.writeFile(filePath, postContent);
-        console.log(`Saved: ${fileName}`);
-
-        // Update progress file after each successful post
-        await progress.markPostProcessed(post, fileName);
-      } catch (error) {
-        console.error(`Error processing post: ${post.title}`, error.message);
-        // Continue with the next post even if one fails
-      }
+/**
+ * Command crawling a car, all cars of a user profile or a list of URLs
+ * @param {Crawler} crawler - Crawler configured with the command line options
+ * @param {Object} argv - Parsed command line options
+ * @returns {Promise<void>}
+ */
+async function crawlCommand(crawler, argv) {
+  if (argv.inputFile) {
+    const { results, succeededCount } = await crawler.crawlBatch(argv.inputFile);
+    if (succeededCount < results.length) {
+      process.exitCode = 1;
     }
+    return;
+  }
+
+  const result = isUserProfileUrl(argv.input)
+    ? await crawler.crawlUserProfile(argv.input)
+    : await crawler.crawlCar(argv.input);
+
+  // Exit with an error while some posts or cars keep failing, so schedulers can notice it
+  if (result.failedCount > 0 || result.failedCarsCount > 0) {
+    process.exitCode = 1;
+    crawler.logger.warn('Not all blog posts have been processed, see the errors above');
+  } else {
+    crawler.logger.info('All blog posts have been processed successfully!');
+  }
+}
+
+/**
+ * Command printing the blog posts of a car without extracting them
+ * @param {Crawler} crawler - Crawler configured with the command line options
+ * @param {Object} argv - Parsed command line options
+ * @returns {Promise<void>}
+ */
+async function listCommand(crawler, argv) {
+  const blogPosts = await crawler.listPosts(argv.input);
+
+  // The list is the output of the command, so it is printed regardless of the log level
+  blogPosts.forEach(post => {
+    const details = [post.category, post.mileage, post.price].filter(Boolean).join(', ');
+    console.log(`${formatDate(post.date)}  ${post.title}${details ? ` (${details})` : ''}  ${post.link}`);
+  });
+
+  console.log(`${blogPosts.length} blog posts`);
+}
 
-    console.log('All blog posts have been processed successfully!');
+/**
+ * Run a command with a crawler sharing a single browser, reporting errors with the exit code
+ * @param {Object} argv - Parsed command line options
+ * @param {Function} command - Async function receiving the crawler and the options
+ * @returns {Promise<void>}
+ */
+async function runCommand(argv, command) {
+  let crawler;
+
+  try {
+    crawler = new Crawler(argv);
+    await command(crawler, argv);
   } catch (error) {
     console.error('Error:', error);
-    process.exit(1);
+    process.exitCode = 1;
+  } finally {
+    // Close the shared browser
+    if (crawler) {
+      await crawler.close();
+    }
   }
 }
 
-// Run the main function
-main().catch(console.error);
+// Parse command line arguments, flags override the values of the config file
+const cli = yargs(hideBin(process.argv))
+  .scriptName('drive2-crawler')
+  .option('config', {
+    type: 'string',
+    default: DEFAULT_CONFIG_FILE
+  })
+  .config('config', 'JSON file with default values of the flags', loadConfig)
+  .option('log-level', {
+    description: 'Minimum level of messages to log',
+    type: 'string',
+    choices: LOG_LEVELS,
+    default: 'info'
+  })
+  .command(['crawl', '$0'], 'Crawl a car, all cars of a user profile or a list of URLs', command => command
+    .options({ ...CRAWL_OPTIONS, ...FILTER_OPTIONS, ...OUTPUT_OPTIONS, ...REPORT_OPTIONS, ...REQUEST_OPTIONS })
+    .check(args => {
+      if (!args.input && !args.inputFile) {
+        throw new Error('Either --input or --input-file is required');
+      }
+      return true;
+    }), argv => runCommand(argv, crawlCommand))
+  .command('list', 'Print blog posts of a car without extracting them', command => command
+    .options({
+      input: { ...CRAWL_OPTIONS.input, description: 'URL to the DRIVE2 car page or its logbook', demandOption: true }
+    })
+    .options({ ...FILTER_OPTIONS, ...REQUEST_OPTIONS }), argv => runCommand(argv, listCommand))
+  .command('post <url>', 'Extract a single blog post into the output directory', command => command
+    .positional('url', { description: 'URL of the blog post', type: 'string' })
+    .options({ ...OUTPUT_OPTIONS, ...REQUEST_OPTIONS }),
+  argv => runCommand(argv, crawler => crawler.extractPost(argv.url)))
+  .command('review <url>', 'Extract the review of a car into Home.md', command => command
+    .positional('url', { description: 'URL of the car page', type: 'string' })
+    .options({ ...OUTPUT_OPTIONS, ...REQUEST_OPTIONS }),
+  argv => runCommand(argv, crawler => crawler.extractReview(argv.url)))
+  .command('render', 'Regenerate Markdown and JSON of saved posts from archived pages and records', command => command
+    .options({ ...OUTPUT_OPTIONS, ...REPORT_OPTIONS }), argv => runCommand(argv, crawler => crawler.render()))
+  .command('export', 'Compile the review and all saved posts, oldest first, into EPUB and PDF books', command => command
+    .options({ output: OUTPUT_OPTIONS.output, archive: OUTPUT_OPTIONS.archive, ...BOOK_OPTIONS })
+    .options({
+      'offline': {
+        ...REQUEST_OPTIONS.offline,
+        description: 'Embed only downloaded images, without fetching the others'
+      },
+      'timeout': REQUEST_OPTIONS.timeout,
+      'retries': REQUEST_OPTIONS.retries,
+      'retry-delay': REQUEST_OPTIONS['retry-delay'],
+      'user-agent': REQUEST_OPTIONS['user-agent']
+    }),
+  argv => runCommand(argv, crawler => crawler.exportBook()))
+  .help()
+  .alias('help', 'h');
+
+// Run the command
+cli.parseAsync().catch(console.error);
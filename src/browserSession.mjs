@@ -0,0 +1,174 @@
+import puppeteer from 'puppeteer';
+
+import { defaultLogger } from './logger.mjs';
+import { RateLimiter } from './rateLimiter.mjs';
+import { getBrowserConfig, setupPage, loadPage } from './utils.mjs';
+
+/**
+ * Class to share a single browser and a small pool of pages across the whole run
+ */
+export class BrowserSession {
+  /**
+   * Create a browser session
+   * @param {Object} options - Session options
+   * @param {number} [options.concurrency] - Maximum number of pages open at the same time
+   * @param {number} [options.delay] - Minimum delay between page requests in milliseconds
+   * @param {number} [options.requestsPerMinute] - Maximum number of page requests per minute, overrides the delay
+   * @param {Object} [options.fixtures] - FixtureStore to load pages from instead of the live site
+   * @param {string} [options.userAgent] - User-Agent header of page requests
+   * @param {number} [options.timeout] - Navigation timeout in milliseconds
+   * @param {number} [options.maxRetries] - Number of attempts to load a page
+   * @param {number} [options.retryDelay] - Delay after the first failed attempt in milliseconds
+   * @param {Object} [options.logger] - Logger created by createLogger, shared by the extractors using the session
+   */
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.fixtures = options.fixtures || null;
+    this.archive = null;
+    this.logger = options.logger || defaultLogger;
+    this.requestSettings = {
+      userAgent: options.userAgent,
+      timeout: options.timeout,
+      maxRetries: options.maxRetries,
+      retryDelay: options.retryDelay
+    };
+
+    // Saved pages are loaded without any delay
+    this.rateLimiter = new RateLimiter({
+      delay: this.fixtures ? 0 : options.delay,
+      requestsPerMinute: this.fixtures ? null : options.requestsPerMinute,
+      logger: this.logger
+    });
+
+    this.browser = null;
+    this.pagesCount = 0;
+    this.idlePages = [];
+    this.waitingQueue = [];
+  }
+
+  /**
+   * Launch the browser
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (!this.browser) {
+      this.browser = await puppeteer.launch(getBrowserConfig());
+    }
+  }
+
+  /**
+   * Take a page from the pool, waiting for one to be released if all are busy
+   * @returns {Promise<Object>} - Puppeteer page object
+   */
+  async acquirePage() {
+    await this.start();
+
+    if (this.idlePages.length > 0) {
+      return this.idlePages.pop();
+    }
+
+    if (this.pagesCount < this.concurrency) {
+      this.pagesCount++;
+
+      try {
+        return await setupPage(this.browser, { fixtures: this.fixtures, ...this.requestSettings });
+      } catch (error) {
+        this.pagesCount--;
+        throw error;
+      }
+    }
+
+    return new Promise(resolve => this.waitingQueue.push(resolve));
+  }
+
+  /**
+   * Return a page to the pool
+   * @param {Object} page - Puppeteer page object
+   */
+  releasePage(page) {
+    const next = this.waitingQueue.shift();
+
+    if (next) {
+      next(page);
+    } else {
+      this.idlePages.push(page);
+    }
+  }
+
+  /**
+   * Run a function with a page from the pool
+   * @param {Function} callback - Async function receiving the page
+   * @returns {Promise<*>} - Result of the callback
+   */
+  async withPage(callback) {
+    const page = await this.acquirePage();
+
+    try {
+      return await callback(page);
+    } finally {
+      this.releasePage(page);
+    }
+  }
+
+  /**
+   * Set the archive to keep the HTML of every page loaded from the live site in, or null to stop archiving
+   * @param {PageArchive|null} archive - Page archive of the output directory
+   */
+  setArchive(archive) {
+    this.archive = archive;
+  }
+
+  /**
+   * Save the current HTML of a page loaded from the live site into the archive, if there is one
+   * @param {Object} page - Puppeteer page object
+   * @param {string} [url] - URL to archive the page under, the current page URL by default
+   * @returns {Promise<void>}
+   */
+  async archivePage(page, url = page.url()) {
+    if (!this.archive || this.fixtures) return;
+
+    try {
+      await this.archive.save(url, await page.content());
+    } catch (error) {
+      // A page missing from the archive only means it is fetched again to render it
+      this.logger.warn(`Failed to archive ${url}:`, error.message);
+    }
+  }
+
+  /**
+   * Load a URL into the page, respecting the global rate limit
+   * @param {Object} page - Puppeteer page object
+   * @param {string} url - URL to load
+   * @returns {Promise<boolean>} - Success status
+   */
+  async loadPage(page, url) {
+    // Saved pages are never throttled, live ones wait for the rate limiter before every attempt
+    if (this.fixtures) {
+      return loadPage(page, url, { fixtures: this.fixtures, logger: this.logger });
+    }
+
+    const loaded = await loadPage(page, url, {
+      rateLimiter: this.rateLimiter,
+      logger: this.logger,
+      ...this.requestSettings
+    });
+    await this.archivePage(page, url);
+
+    return loaded;
+  }
+
+  /**
+   * Close the browser and all its pages
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.browser) {
+      await this.browser.close();
+    }
+
+    this.browser = null;
+    this.pagesCount = 0;
+    this.idlePages = [];
+    this.waitingQueue = [];
+  }
+}
@@ -1,31 +1,83 @@
-import puppeteer from 'puppeteer';
+import { getPostId } from './filenames.mjs';
+import { parseDate } from './parseDate.mjs';
+import { MILEAGE_UNIT_REGEX } from './utils.mjs';
 
-import { getBrowserConfig, getPageConfig, navigateWithRetry } from './utils.mjs';
+// Safety limit of list pages, in case next page links ever go in circles through different URLs
+const MAX_PAGES = 1000;
 
 /**
- * Get the number of pages for pagination
+ * Check if a URL is the dedicated logbook page of a car
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+export function isLogbookUrl(url) {
+  return /\/logbook\/?(\?.*)?$/.test(url);
+}
+
+/**
+ * Gets the car page URL of a car or logbook page URL
+ * @param {string} url - URL of the car page, e.g. https://www.drive2.ru/r/toyota/chaser/288230376151952785/, or of its
+ * logbook, e.g. https://www.drive2.ru/r/toyota/chaser/288230376151952785/logbook/?page=2
+ * @returns {string} - URL of the car page
+ */
+export function getCarUrl(url) {
+  return isLogbookUrl(url) ? url.replace(/logbook\/?(\?.*)?$/, '') : url;
+}
+
+/**
+ * Get the page number of a list page URL
+ * @param {string} url - URL of the list page
+ * @returns {number} - Number from the page parameter, 1 if there is none
+ */
+function getPageNumber(url) {
+  return parseInt(new URL(url).searchParams.get('page'), 10) || 1;
+}
+
+/**
+ * Get the links of the current page to the dedicated logbook and to the next page of the list
  * @param {Object} page - Puppeteer page object
- * @returns {Promise<number>} - Number of pages
+ * @param {number} pageNumber - Number of the current page
+ * @returns {Promise<{nextHref: string|null, logbookHref: string|null, postsCount: number|null}>} - Links as they
+ * appear in HTML and the number of posts of the logbook shown next to its header
+ * @throws {Error} - If the page can't be read, taking it for the last one would stop the list early
  */
-async function getPageCount(page) {
-  try {
-    return await page.evaluate(() => {
-      // Look for pagination links, if any
-      const paginationLinks = document.querySelectorAll('a.c-page-link');
-      if (paginationLinks.length === 0) return 1;
-
-      // Get the last pagination link which should be the highest page number
-      const pageNumbers = Array.from(paginationLinks)
-        .map(link => parseInt(link.textContent.trim()))
-        .filter(num => !isNaN(num));
-
-      if (pageNumbers.length === 0) return 1;
-      return Math.max(...pageNumbers);
+async function getListLinks(page, pageNumber) {
+  return page.evaluate(currentPageNumber => {
+    const logbookLink = document.querySelector('.x-header a[href*="/logbook/"]');
+    const counter = logbookLink?.parentElement.querySelector('.c-counter');
+    const postsCount = counter ? parseInt(counter.textContent.replace(/\D/g, ''), 10) : NaN;
+
+    const result = {
+      nextHref: null,
+      logbookHref: logbookLink?.getAttribute('href') || null,
+      postsCount: Number.isNaN(postsCount) ? null : postsCount
+    };
+
+    // Links marked as the next page by the site
+    const relNext = document.querySelector('link[rel="next"][href], a[rel="next"][href]');
+    if (relNext) {
+      result.nextHref = relNext.getAttribute('href');
+      return result;
+    }
+
+    const pageLinks = Array.from(document.querySelectorAll(
+      'a.c-page-link[href], .c-pager a[href], .c-pagination a[href], [class*="pager"] a[href]'
+    ));
+
+    // Arrows and "next" buttons
+    const nextLink = pageLinks.find(link =>
+      /next|следующ|далее|дальше|[→›»]/i.test(`${link.className} ${link.textContent} ${link.title || ''}`));
+
+    // Otherwise the link numbered after the current page, pagination may skip the rest with "…"
+    const numberedLink = pageLinks.find(link => {
+      const number = parseInt(link.textContent.trim(), 10);
+      const hrefNumber = parseInt((link.getAttribute('href').match(/[?&]page=(\d+)/) || [])[1], 10);
+      return number === currentPageNumber + 1 || hrefNumber === currentPageNumber + 1;
     });
-  } catch (error) {
-    console.error('Error getting page count:', error.message);
-    return 1; // Default to 1 page if we can't determine the count
-  }
+
+    result.nextHref = (nextLink || numberedLink)?.getAttribute('href') || null;
+    return result;
+  }, pageNumber);
 }
 
 /**
@@ -33,143 +85,200 @@ async function getPageCount(page) {
  * @param {Object} page - Puppeteer page object
  * @param {string} baseUrl - Base URL for resolving relative URLs
  * @returns {Promise<Array>} - Array of blog posts
+ * @throws {Error} - If the page can't be read, a list missing its posts would mark them as removed from the site
  */
 async function extractPostsFromPage(page, baseUrl) {
-  try {
-    return await page.evaluate((baseUrlForPage) => {
-      // Get the logbook container
-      const logbookContainer = document.querySelector('.c-lb-list');
-      if (!logbookContainer) return [];
-
-      const posts = [];
-      // Find all post cards
-      const postCards = logbookContainer.querySelectorAll('.x-box.c-post-lcard');
-
-      // Process each post card
-      postCards.forEach(card => {
-        const link = card.getAttribute('href');
-        const absoluteLink = link && link.startsWith('/') ? `${baseUrlForPage}${link}` : link;
-
-        const titleElement = card.querySelector('.c-post-lcard__caption');
-        const title = titleElement ? titleElement.textContent.trim() : '';
-
-        const categoryElement = card.querySelector('.u-text-overflow.x-secondary');
-        const category = categoryElement ? categoryElement.textContent.trim() : '';
-
-        const metaElements = card.querySelectorAll('.c-post-lcard__meta > div');
-        const metadata = {};
-
-        metaElements.forEach(element => {
-          // Extract likes
-          if (element.querySelector('.i-like-s')) {
-            metadata.likes = element.textContent.trim();
-          }
-          // Extract comments
-          else if (element.querySelector('.i-comments-s')) {
-            metadata.comments = element.textContent.trim();
-          }
-          // Check if element has data-tt attribute
-          else if (element.hasAttribute('data-tt')) {
-            const tooltipText = element.getAttribute('data-tt');
+  const posts = await page.evaluate((baseUrlForPage, mileageUnitSource) => {
+    // Regular expressions can't be passed into the page, so the one shared with parseMileage is rebuilt from source
+    const mileageUnitRegex = new RegExp(mileageUnitSource, 'i');
 
-            // Check if it's a date (contains month names or date format patterns)
-            const isDate = /[а-я]+ \d{4}|^\d{1,2} [а-я]+ \d{4}/i.test(tooltipText);
+    // Get the logbook container, the dedicated logbook page may list posts without one
+    const logbookContainer = document.querySelector('.c-lb-list') ||
+      document.querySelector('[data-slot="logbook-search.container"]') ||
+      document.querySelector('.c-post-lcard') && document.body;
+    if (!logbookContainer) return [];
 
-            // Check if it's mileage (contains миль or км)
-            const isMileage = /миль|км/i.test(tooltipText);
+    const posts = [];
+    // Find all post cards
+    const postCards = logbookContainer.querySelectorAll('.x-box.c-post-lcard');
 
-            if (isDate && !isMileage) {
-              metadata.date = tooltipText;
-            } else if (isMileage) {
-              metadata.mileage = element.textContent.trim();
-            }
-          }
-          // Extract price if present
-          else if (element.textContent.includes('₽')) {
-            metadata.price = element.textContent.trim();
+    // Process each post card
+    postCards.forEach(card => {
+      const link = card.getAttribute('href');
+      const absoluteLink = link && link.startsWith('/') ? `${baseUrlForPage}${link}` : link;
+
+      const titleElement = card.querySelector('.c-post-lcard__caption');
+      const title = titleElement ? titleElement.textContent.trim() : '';
+
+      const categoryElement = card.querySelector('.u-text-overflow.x-secondary');
+      const category = categoryElement ? categoryElement.textContent.trim() : '';
+
+      const metaElements = card.querySelectorAll('.c-post-lcard__meta > div');
+      const metadata = {};
+
+      metaElements.forEach(element => {
+        // Extract likes
+        if (element.querySelector('.i-like-s')) {
+          metadata.likes = element.textContent.trim();
+        }
+        // Extract comments
+        else if (element.querySelector('.i-comments-s')) {
+          metadata.comments = element.textContent.trim();
+        }
+        // Check if element has data-tt attribute
+        else if (element.hasAttribute('data-tt')) {
+          const tooltipText = element.getAttribute('data-tt');
+
+          // Check if it's mileage (in km or miles), other tooltips may be dates, recognized by parseDate later
+          if (mileageUnitRegex.test(tooltipText)) {
+            metadata.mileage = element.textContent.trim();
+          } else {
+            metadata.dateTexts = [...(metadata.dateTexts || []), tooltipText];
           }
-        });
-
-        // Get image URL if available
-        const imageElement = card.querySelector('img');
-        const imageUrl = imageElement ? imageElement.getAttribute('src') : null;
-
-        posts.push({
-          title,
-          link: absoluteLink,
-          category,
-          imageUrl,
-          ...metadata
-        });
+        }
+        // Extract price if present, in any currency DRIVE2 shows
+        else if (/[₽$€₴₸£]|руб|грн/i.test(element.textContent)) {
+          metadata.price = element.textContent.trim();
+        }
       });
 
-      return posts;
-    }, baseUrl);
-  } catch (error) {
-    console.error('Error extracting posts:', error.message);
-    return [];
-  }
+      // Prefer a machine-readable date, if the card has one
+      const dateTimeElement = card.querySelector('time[datetime], [itemprop="datePublished"]');
+      const dateTime = dateTimeElement
+        ? dateTimeElement.getAttribute('datetime') || dateTimeElement.getAttribute('content')
+        : null;
+
+      // Get image URL if available
+      const imageElement = card.querySelector('img');
+      const imageUrl = imageElement ? imageElement.getAttribute('src') : null;
+
+      posts.push({
+        title,
+        link: absoluteLink,
+        category,
+        imageUrl,
+        dateTime,
+        ...metadata
+      });
+    });
+
+    return posts;
+  }, baseUrl, MILEAGE_UNIT_REGEX.source);
+
+  // Use the machine-readable date, or the first tooltip that is a date, keeping its text for display
+  return posts.map(({ dateTime, dateTexts = [], ...post }) => {
+    const date = dateTime || dateTexts.find(text => parseDate(text));
+    return date ? { ...post, date, publishedAt: parseDate(date) } : post;
+  });
 }
 
 /**
- * Collects all blog posts from a car page
- * @param {string} url - URL of the car page
- * @returns {Promise<Array>} - Array of blog posts
+ * Follow next page links of a list, collecting the posts of every page
+ * @param {Object} page - Puppeteer page object with the first page of the list loaded
+ * @param {string} url - URL of the first page
+ * @param {Object} session - BrowserSession loading the pages
+ * @param {Object} state - Collection state shared by all lists of a car
+ * @param {Array} state.posts - Posts collected so far
+ * @param {Set<string>} state.postIds - IDs of the collected posts, or their links if they have none
+ * @param {number} state.pagesCount - Number of list pages collected so far
+ * @param {Function} [state.onPage] - Called with { page, pageUrl, posts } after every page
+ * @returns {Promise<Object>} - Links of the first page, see getListLinks
  */
-export async function collectBlogPosts(url) {
-  // Launch the browser
-  const browser = await puppeteer.launch(getBrowserConfig());
+async function collectListPages(page, url, session, state) {
+  const { logger } = session;
+  const baseUrl = new URL(url).origin;
+  const visitedUrls = new Set();
+  let firstPageLinks = null;
+  let pageUrl = url;
+
+  while (pageUrl && !visitedUrls.has(pageUrl) && visitedUrls.size < MAX_PAGES) {
+    if (visitedUrls.size > 0) {
+      logger.info(`Navigating to page ${state.pagesCount + 1} of blog posts...`);
+
+      // A list that is not complete would mark the posts it misses as removed from the site, so give up instead
+      try {
+        await session.loadPage(page, pageUrl);
+      } catch (error) {
+        throw new Error(`Failed to load page ${pageUrl} of blog posts: ${error.message}`);
+      }
+    }
+    visitedUrls.add(pageUrl);
 
-  try {
-    // Open a new page
-    const page = await browser.newPage();
+    let postsOnPage;
+    try {
+      postsOnPage = await extractPostsFromPage(page, baseUrl);
+    } catch (error) {
+      throw new Error(`Failed to read blog posts from ${pageUrl}: ${error.message}`);
+    }
 
-    // Set a longer timeout for navigation
-    page.setDefaultNavigationTimeout(getPageConfig().timeout);
+    let links;
+    try {
+      links = await getListLinks(page, getPageNumber(pageUrl));
+    } catch (error) {
+      throw new Error(`Failed to read the pagination links of ${pageUrl}: ${error.message}`);
+    }
 
-    // Add headers to make requests more browser-like
-    await page.setExtraHTTPHeaders(getPageConfig().headers);
+    firstPageLinks = firstPageLinks || links;
 
-    // Parse the base URL for constructing absolute URLs
-    const baseUrl = new URL(url).origin;
+    // Posts shift between pages when new ones are published during the crawl, so every post is kept once
+    const newPosts = postsOnPage.filter(post => {
+      const id = getPostId(post.link) || post.link;
+      if (state.postIds.has(id)) return false;
+      state.postIds.add(id);
+      return true;
+    });
 
-    // Navigate to the URL with retry logic
-    await navigateWithRetry(page, url);
+    state.posts.push(...newPosts);
+    state.pagesCount++;
+    logger.info(`Collected ${newPosts.length} posts from page ${state.pagesCount}` +
+      (newPosts.length < postsOnPage.length ? `, ${postsOnPage.length - newPosts.length} duplicates skipped` : ''));
+    state.onPage?.({ page: state.pagesCount, pageUrl, posts: newPosts });
 
-    // Check if pagination exists and determine how many pages there are
-    const totalPages = await getPageCount(page);
-    console.log(`Found ${totalPages} pages of blog posts`);
+    pageUrl = links.nextHref ? new URL(links.nextHref, pageUrl).href : null;
+  }
+
+  return firstPageLinks;
+}
 
-    let allPosts = [];
+/**
+ * Collects all blog posts from a car page, following next page links until there are none
+ *
+ * When the car page lists only a part of the logbook, the dedicated logbook pages are collected too. Posts are
+ * de-duplicated by their IDs, keeping the order of the first list they appear in.
+ * @param {string} url - URL of the car page or of its logbook
+ * @param {Object} session - BrowserSession to take a page from
+ * @param {Object} [options] - Collection options
+ * @param {Function} [options.onPage] - Called with { page, pageUrl, posts } after every page of the list, with the
+ * posts not collected from the previous pages
+ * @returns {Promise<Array>} - Array of blog posts
+ */
+export async function collectBlogPosts(url, session, options = {}) {
+  const { logger } = session;
+  const state = { posts: [], postIds: new Set(), pagesCount: 0, onPage: options.onPage };
 
-    // Process each page
-    for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-      // Add delay between page navigation to avoid rate limiting
-      if (pageNum > 1) {
-        console.log(`Navigating to page ${pageNum}/${totalPages}...`);
+  return session.withPage(async page => {
+    // Navigate to the URL with retry logic, or load it from fixtures
+    await session.loadPage(page, url);
 
-        // Wait a bit before loading the next page
-        await new Promise(resolve => setTimeout(resolve, 2000));
+    const { logbookHref, postsCount } = await collectListPages(page, url, session, state);
 
-        // Navigate with retry logic
-        try {
-          await navigateWithRetry(page, `${url}?page=${pageNum}`);
-        } catch (error) {
-          console.error(`Failed to navigate to page ${pageNum}, skipping to next page`);
-          continue;
-        }
-      }
+    // The logbook lists posts by date, so its order goes first and posts found only on the car page follow
+    const logbookUrl = logbookHref && new URL(logbookHref, url).href;
+    if (!isLogbookUrl(url) && logbookUrl && postsCount !== null && state.posts.length < postsCount) {
+      logger.info(`The car page lists ${state.posts.length} of ${postsCount} posts, collecting the logbook...`);
+      const carPagePosts = state.posts.splice(0);
+      state.postIds = new Set();
 
-      // Extract blog posts from the current page
-      const postsOnPage = await extractPostsFromPage(page, baseUrl);
+      await session.loadPage(page, logbookUrl);
+      await collectListPages(page, logbookUrl, session, state);
+      state.posts.push(...carPagePosts.filter(post => !state.postIds.has(getPostId(post.link) || post.link)));
+    }
 
-      allPosts = [...allPosts, ...postsOnPage];
-      console.log(`Collected ${postsOnPage.length} posts from page ${pageNum}/${totalPages}`);
+    if (postsCount !== null && state.posts.length < postsCount) {
+      logger.warn(`Collected ${state.posts.length} of ${postsCount} posts the logbook shows, some may be hidden`);
     }
 
-    return allPosts;
-  } finally {
-    // Close the browser
-    await browser.close();
-  }
+    logger.info(`Found ${state.pagesCount} pages of blog posts`);
+    return state.posts;
+  });
 }
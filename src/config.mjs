@@ -0,0 +1,41 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+
+// Config file looked up in the current directory when no --config is given
+export const DEFAULT_CONFIG_FILE = 'drive2-crawler.config.json';
+
+/**
+ * Loads crawl settings from a JSON config file
+ *
+ * Keys are the same as command line flags, either as is or in camelCase, e.g.
+ * { "delay": 5000, "user-agent": "...", "format": ["markdown", "json"], "filenameTemplate": "{date}-{id}" }
+ * Flags given on the command line override the config.
+ * @param {string} configPath - Absolute path to the config file
+ * @returns {Object} - Settings, empty if the default config file does not exist
+ */
+export function loadConfig(configPath) {
+  let content;
+
+  try {
+    content = readFileSync(configPath, 'utf8');
+  } catch (error) {
+    // The default config file is optional, an explicitly given one is not
+    if (error.code === 'ENOENT' && configPath === path.resolve(DEFAULT_CONFIG_FILE)) {
+      return {};
+    }
+    throw new Error(`Failed to read config file ${configPath}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in config file ${configPath}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config file ${configPath} must contain a JSON object`);
+  }
+
+  return config;
+}
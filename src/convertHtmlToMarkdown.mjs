@@ -0,0 +1,615 @@
+import { parse, NodeType } from 'node-html-parser';
+
+import { EMBED_TAGS, describeElement, getBlockNames, getEmbedSource, getVideo } from './embeds.mjs';
+
+// Elements that never contain content worth keeping
+export const IGNORED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'button', 'input', 'select', 'textarea', 'like-button'
+]);
+
+// Elements rendered as separate blocks, with their content kept as is
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'address', 'center', 'dl', 'dd', 'dt'
+]);
+
+// Elements that make a list item "loose", so its blocks stay separated by blank lines
+const LOOSE_ITEM_TAGS = new Set(['p', 'div', 'blockquote', 'pre', 'figure', 'table']);
+
+// Words of class names of DRIVE2 cards quoting another post
+const QUOTE_WORDS = new Set(['quote', 'quoted', 'repost']);
+const POST_CARD_WORDS = new Set(['card', 'preview', 'snippet']);
+
+// Columns of the parts table besides the part name, with the words of class names of their values
+const PART_FIELDS = [
+  { title: 'Brand', words: ['brand', 'vendor', 'maker', 'manufacturer'] },
+  { title: 'Part number', words: ['number', 'num', 'code', 'article', 'sku'] },
+  { title: 'Price', words: ['price', 'cost'] }
+];
+
+// Words of class names of titles and names inside cards
+const TITLE_WORDS = ['title', 'name', 'caption'];
+
+// Placeholder for hard line breaks, replaced after whitespace cleanup so the trailing spaces survive
+const LINE_BREAK = '\u0000';
+
+// Placeholder before text starting with a block marker like "1. ", "# ", "- " or "> ", escaped if it starts a line
+const BLOCK_MARKER = '\u0001';
+
+// Text read as a list item, heading or quote at the start of a line
+const BLOCK_MARKER_REGEX = /^(\s*)(?=(?:#{1,6}|[-+>]|\d{1,9}[.)])(?:\s|$))/;
+
+/**
+ * Resolve a link or image URL against the base URL
+ * @param {string} url - URL as it appears in HTML
+ * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @returns {string} - Absolute URL
+ */
+export function resolveUrl(url, baseUrl) {
+  if (!url || url.startsWith('http') || url.startsWith('#') || url.startsWith('mailto:')) {
+    return url;
+  }
+
+  // Protocol-relative URLs, e.g. //www.youtube.com/embed/...
+  if (url.startsWith('//')) {
+    return `https:${url}`;
+  }
+
+  // Handle URLs that start with / or without /
+  return url.startsWith('/') ? `${baseUrl}${url}` : `${baseUrl}/${url}`;
+}
+
+/**
+ * Escape characters that would otherwise be read as Markdown formatting
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escapeText(text) {
+  return text.replace(/([\\*`[\]])/g, '\\$1');
+}
+
+/**
+ * Wrap content into a separate block
+ * @param {string} content - Block content
+ * @returns {string} - Content surrounded with blank lines, or nothing if it is empty
+ */
+function block(content) {
+  const trimmed = content.trim();
+  return trimmed ? `\n\n${trimmed}\n\n` : '';
+}
+
+/**
+ * Add a warning about content that could not be converted as is
+ * @param {Object} context - Rendering context
+ * @param {string} message - Warning message
+ */
+function warn(context, message) {
+  if (context.warnings) {
+    context.warnings.push(message);
+  }
+}
+
+/**
+ * Get the text of an element with whitespace collapsed, escaped for a table cell or link text
+ * @param {Object} element - Parsed element
+ * @returns {string} - Escaped text
+ */
+function getCleanText(element) {
+  return escapeText(element.text.replace(/\s+/g, ' ').trim()).replace(/\|/g, '\\|');
+}
+
+/**
+ * Find the first descendant having any of the words in its class names, e.g. c-part-card__price for "price"
+ * @param {Object} element - Parsed element
+ * @param {Array<string>} words - Words to look for
+ * @returns {Object|undefined} - Found element
+ */
+function findByClassWords(element, words) {
+  return element.querySelectorAll('[class]').find(child =>
+    child.getAttribute('class').toLowerCase().split(/[\s_-]+/).some(word => words.includes(word)));
+}
+
+/**
+ * Check if a node is inside of another one
+ * @param {Object} node - Parsed node
+ * @param {Object} ancestor - Possible ancestor
+ * @returns {boolean}
+ */
+function isInside(node, ancestor) {
+  for (let current = node; current; current = current.parentNode) {
+    if (current === ancestor) return true;
+  }
+  return false;
+}
+
+/**
+ * Clean up whitespace of rendered Markdown and turn line break placeholders into hard breaks
+ * @param {string} markdown - Rendered Markdown
+ * @returns {string} - Clean Markdown
+ */
+function finalize(markdown) {
+  return markdown
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .replace(new RegExp(`^(?: *${LINE_BREAK})+ *|(?: *${LINE_BREAK})+ *$`, 'gm'), '')
+    .replace(new RegExp(` *${LINE_BREAK} *`, 'g'), '  \n')
+    .replace(/^ +$/gm, '')
+    .replace(new RegExp(`^( *)${BLOCK_MARKER}(\\d*)`, 'gm'), '$1$2\\')
+    .replace(new RegExp(BLOCK_MARKER, 'g'), '');
+}
+
+/**
+ * Prefix every line but the first one, used for list item continuation lines
+ * @param {string} text - Multiline text
+ * @param {string} prefix - Prefix to add
+ * @returns {string} - Indented text
+ */
+function indentContinuation(text, prefix) {
+  return text
+    .split('\n')
+    .map((line, index) => (index === 0 || !line ? line : `${prefix}${line}`))
+    .join('\n');
+}
+
+/**
+ * Get the source of an image element, including lazy-loaded ones
+ * @param {Object} element - Image or x-img element
+ * @returns {string} - Image source
+ */
+export function getImageSource(element) {
+  return element.getAttribute('src') || element.getAttribute('data-src') || '';
+}
+
+/**
+ * Render child nodes of an element
+ * @param {Object} element - Parsed element
+ * @param {Object} context - Rendering context
+ * @returns {string} - Markdown content
+ */
+function renderChildren(element, context) {
+  return element.childNodes.map(child => renderNode(child, context)).join('');
+}
+
+/**
+ * Render child nodes as a single line of inline content
+ * @param {Object} element - Parsed element
+ * @param {Object} context - Rendering context
+ * @returns {string} - Markdown content without line breaks
+ */
+function renderInline(element, context) {
+  return finalize(renderChildren(element, context)).replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Wrap inline content into a formatting marker, keeping surrounding spaces outside of it
+ * @param {string} content - Inline content
+ * @param {string} marker - Formatting marker, e.g. ** or ~~
+ * @returns {string} - Formatted content
+ */
+function wrapInline(content, marker) {
+  const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) return content;
+  return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+}
+
+/**
+ * Render a figure with an image and an optional caption
+ * @param {Object} element - Figure element
+ * @param {Object} context - Rendering context
+ * @returns {string} - Markdown content
+ */
+function renderFigure(element, context) {
+  const image = element.querySelector('img') || element.querySelector('x-img');
+  const captionElement = element.querySelector('figcaption');
+  const caption = captionElement ? renderInline(captionElement, context) : '';
+
+  if (!image) {
+    return block(finalize(renderChildren(element, context)));
+  }
+
+  const src = resolveUrl(getImageSource(image), context.baseUrl);
+
+  if (caption) {
+    return block(`![${caption}](${src})\n\n*${caption}*`);
+  }
+
+  const alt = (image.getAttribute('alt') || '').trim() || 'Image';
+  return block(`![${alt}](${src})`);
+}
+
+/**
+ * Render an ordered or unordered list, including nested ones
+ * @param {Object} element - List element
+ * @param {Object} context - Rendering context
+ * @returns {string} - Markdown content
+ */
+function renderList(element, context) {
+  const isOrdered = element.rawTagName.toLowerCase() === 'ol';
+  let number = parseInt(element.getAttribute('start') || '1', 10) || 1;
+
+  const items = element.childNodes
+    .filter(child => child.nodeType === NodeType.ELEMENT_NODE && child.rawTagName.toLowerCase() === 'li')
+    .map(item => {
+      const marker = isOrdered ? `${number++}. ` : '- ';
+      return `${marker}${indentContinuation(renderListItemContent(item, context), ' '.repeat(marker.length))}`;
+    });
+
+  return block(items.join('\n'));
+}
+
+/**
+ * Render content of a list item
+ * @param {Object} element - List item element
+ * @param {Object} context - Rendering context
+ * @returns {string} - Markdown content
+ */
+function renderListItemContent(element, context) {
+  const content = finalize(renderChildren(element, context));
+
+  // Keep simple items tight, so nested lists follow their parent item without blank lines
+  const isLoose = element.childNodes.some(child =>
+    child.nodeType === NodeType.ELEMENT_NODE && LOOSE_ITEM_TAGS.has(child.rawTagName.toLowerCase()));
+
+  return isLoose ? content : content.replace(/\n{2,}/g, '\n');
+}
+
+/**
+ * Render a blockquote
+ * @param {Object} element - Blockquote element
+ * @param {Object} context - Rendering context
+ * @returns {string} - Markdown content
+ */
+function renderBlockquote(element, context) {
+  const content = finalize(renderChildren(element, context));
+  return block(content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+}
+
+/**
+ * Render a table as a GitHub Flavored Markdown table
+ * @param {Object} element - Table element
+ * @param {Object} context - Rendering context
+ * @returns {string} - Markdown content
+ */
+function renderTable(element, context) {
+  const rows = element.querySelectorAll('tr').map(row =>
+    row.childNodes
+      .filter(cell => cell.nodeType === NodeType.ELEMENT_NODE && ['td', 'th'].includes(cell.rawTagName.toLowerCase()))
+      .map(cell => finalize(renderChildren(cell, context)).replace(/ *\n+/g, '<br>').replace(/\|/g, '\\|')));
+
+  if (rows.length === 0) return '';
+
+  // Pad all rows to the same number of columns
+  const columnsCount = Math.max(...rows.map(row => row.length));
+  const formatRow = row => `| ${Array.from({ length: columnsCount }, (_, index) => row[index] || '').join(' | ')} |`;
+
+  const [header, ...body] = rows;
+  const separator = `| ${Array(columnsCount).fill('---').join(' | ')} |`;
+
+  return block([formatRow(header), separator, ...body.map(formatRow)].join('\n'));
+}
+
+/**
+ * Render a preformatted block as a fenced code block
+ * @param {Object} element - Pre element
+ * @returns {string} - Markdown content
+ */
+function renderPre(element) {
+  const code = element.text.replace(/^\n/, '').replace(/\s+$/, '');
+  const codeElement = element.querySelector('code');
+  const className = `${element.getAttribute('class') || ''} ${codeElement?.getAttribute('class') || ''}`;
+  const languageMatch = className.match(/(?:lang|language)-(\S+)/);
+  const fence = code.includes('```') ? '````' : '```';
+
+  return block(`${fence}${languageMatch ? languageMatch[1] : ''}\n${code}\n${fence}`);
+}
+
+/**
+ * Render a link
+ * @param {Object} element - Anchor element
+ * @param {Object} context - Rendering context
+ * @returns {string} - Markdown content
+ */
+function renderLink(element, context) {
+  const href = element.getAttribute('href');
+  const text = renderInline(element, context);
+
+  if (!href) return text;
+
+  const url = resolveUrl(href, context.baseUrl);
+  return `[${text || url}](${url})`;
+}
+
+/**
+ * Render an embedded video or another object as a link, with a thumbnail when there is one
+ * @param {Object} element - Iframe, embed, object, video or audio element
+ * @param {Object} context - Rendering context
+ * @returns {string} - Markdown content
+ */
+function renderEmbed(element, context) {
+  const tag = element.rawTagName.toLowerCase();
+  const src = getEmbedSource(element);
+
+  if (!src) {
+    warn(context, `Skipped ${describeElement(element)} without a source`);
+    return '';
+  }
+
+  const url = resolveUrl(src, context.baseUrl);
+  const title = escapeText((element.getAttribute('title') || '').trim());
+  const video = getVideo(url);
+
+  if (video) {
+    const label = title || `${video.provider} video`;
+    return block(video.thumbnail ? `[![${label}](${video.thumbnail})](${video.url})` : `[${label}](${video.url})`);
+  }
+
+  // Video and audio files are linked, with the poster as the thumbnail
+  if (tag === 'video' || tag === 'audio') {
+    const poster = element.getAttribute('poster');
+    const label = title || (tag === 'video' ? 'Video' : 'Audio');
+    return block(poster ? `[![${label}](${resolveUrl(poster, context.baseUrl)})](${url})` : `[${label}](${url})`);
+  }
+
+  warn(context, `Unrecognised embed ${url}, kept as a link`);
+  return block(`[${title || url}](${url})`);
+}
+
+/**
+ * Check if an element is a single part of a DRIVE2 parts list
+ * @param {Object} element - Parsed element
+ * @returns {boolean}
+ */
+function isPartItem(element) {
+  const classNames = (element.getAttribute('class') || '').split(/\s+/);
+  return classNames.some(className => /__(item|part)$/.test(className)) ||
+    getBlockNames(element).some(words => words.includes('part'));
+}
+
+/**
+ * Find the parts of a DRIVE2 parts list, skipping the elements inside of them
+ * @param {Object} element - Parsed element
+ * @returns {Array<Object>} - Part elements
+ */
+function findPartItems(element) {
+  return element.childNodes
+    .filter(child => child.nodeType === NodeType.ELEMENT_NODE)
+    .flatMap(child => (isPartItem(child) ? [child] : findPartItems(child)));
+}
+
+/**
+ * Render a DRIVE2 parts list as a table of part names, brands, part numbers and prices
+ * @param {Object} element - Parts list element
+ * @param {Object} context - Rendering context
+ * @returns {string|null} - Markdown content, or null if there are no parts in it
+ */
+function renderParts(element, context) {
+  const items = findPartItems(element);
+  if (items.length === 0) {
+    items.push(...element.querySelectorAll('li'));
+  }
+  if (items.length === 0) return null;
+
+  const rows = items.map(item => {
+    const nameElement = findByClassWords(item, TITLE_WORDS) || item.querySelector('a') || item;
+    const link = nameElement.rawTagName?.toLowerCase() === 'a' ? nameElement : item.querySelector('a[href]');
+    const name = getCleanText(nameElement);
+    const href = link && link.getAttribute('href');
+
+    return [
+      href ? `[${name || 'Part'}](${resolveUrl(href, context.baseUrl)})` : name,
+      ...PART_FIELDS.map(field => {
+        const valueElement = findByClassWords(item, field.words);
+        return valueElement ? getCleanText(valueElement) : '';
+      })
+    ];
+  });
+
+  // Only the columns having values in any row are kept
+  const columns = [0, ...PART_FIELDS.map((_, index) => index + 1).filter(column => rows.some(row => row[column]))];
+  const header = ['Part', ...PART_FIELDS.map(field => field.title)];
+  const formatRow = row => `| ${columns.map(column => row[column]).join(' | ')} |`;
+
+  const table = [
+    formatRow(header),
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(formatRow)
+  ].join('\n');
+
+  // Title of the list, e.g. "Запчасти на фото"
+  const captionElement = findByClassWords(element, [...TITLE_WORDS, 'header', 'label']);
+  const caption = captionElement && !items.some(item => isInside(captionElement, item)) ?
+    getCleanText(captionElement) : '';
+
+  return block(caption ? `**${caption}**\n\n${table}` : table);
+}
+
+/**
+ * Render a product card as a link with its thumbnail and price
+ * @param {Object} element - Product card element
+ * @param {Object} context - Rendering context
+ * @returns {string|null} - Markdown content, or null if the card has no link
+ */
+function renderProduct(element, context) {
+  const link = element.rawTagName.toLowerCase() === 'a' ? element : element.querySelector('a[href]');
+  if (!link || !link.getAttribute('href')) return null;
+
+  const url = resolveUrl(link.getAttribute('href'), context.baseUrl);
+  const title = getCleanText(findByClassWords(element, TITLE_WORDS) || link) || url;
+  const priceElement = findByClassWords(element, ['price', 'cost']);
+  const image = element.querySelector('img') || element.querySelector('x-img');
+  const src = image && getImageSource(image);
+
+  const lines = [];
+  if (src) {
+    lines.push(`[![${title}](${resolveUrl(src, context.baseUrl)})](${url})`);
+  }
+  lines.push(`**[${title}](${url})**${priceElement ? ` — ${getCleanText(priceElement)}` : ''}`);
+
+  return block(lines.join('\n\n'));
+}
+
+/**
+ * Render a DRIVE2 card: a parts list, a product or a quoted post
+ * @param {Object} element - Parsed element
+ * @param {Object} context - Rendering context
+ * @returns {string|null} - Markdown content, or null if the element is not a card
+ */
+function renderCard(element, context) {
+  for (const words of getBlockNames(element)) {
+    if (words.includes('parts')) {
+      return renderParts(element, context);
+    }
+
+    if (words.includes('product')) {
+      return renderProduct(element, context);
+    }
+
+    // Links to posts are kept as links
+    const isPostCard = words.includes('post') && words.some(word => POST_CARD_WORDS.has(word));
+    if ((isPostCard || words.some(word => QUOTE_WORDS.has(word))) && element.rawTagName.toLowerCase() !== 'a') {
+      return renderBlockquote(element, context);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Render a single node
+ * @param {Object} node - Parsed node
+ * @param {Object} context - Rendering context
+ * @returns {string} - Markdown content
+ */
+function renderNode(node, context) {
+  if (node.nodeType === NodeType.TEXT_NODE) {
+    // Collapse whitespace the same way browsers do, non-breaking spaces included
+    return escapeText(node.text.replace(/\s+/g, ' ')).replace(BLOCK_MARKER_REGEX, `$1${BLOCK_MARKER}`);
+  }
+
+  if (node.nodeType !== NodeType.ELEMENT_NODE) {
+    return '';
+  }
+
+  const tag = node.rawTagName.toLowerCase();
+
+  if (IGNORED_TAGS.has(tag)) {
+    return '';
+  }
+
+  if (EMBED_TAGS.has(tag)) {
+    return renderEmbed(node, context);
+  }
+
+  // DRIVE2 cards have their own layout, other elements with unknown classes are rendered as usual
+  const card = node.getAttribute('class') ? renderCard(node, context) : null;
+  if (card !== null) {
+    return card;
+  }
+
+  if (BLOCK_TAGS.has(tag)) {
+    return block(renderChildren(node, context));
+  }
+
+  switch (tag) {
+    case 'br':
+      return LINE_BREAK;
+
+    case 'hr':
+      return block('---');
+
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6': {
+      // Content is placed under level 2 sections, so its headings are shifted one level down
+      const level = Math.min(6, parseInt(tag[1], 10) + 1);
+      return block(`${'#'.repeat(level)} ${renderInline(node, context)}`);
+    }
+
+    case 'strong':
+    case 'b':
+      return wrapInline(renderChildren(node, context), '**');
+
+    case 'em':
+    case 'i':
+    case 'cite':
+      return wrapInline(renderChildren(node, context), '*');
+
+    case 'del':
+    case 's':
+    case 'strike':
+      return wrapInline(renderChildren(node, context), '~~');
+
+    case 'code': {
+      const code = node.text;
+      const fence = code.includes('`') ? '``' : '`';
+      return code ? `${fence}${code}${fence}` : '';
+    }
+
+    case 'pre':
+      return renderPre(node);
+
+    case 'a':
+      return renderLink(node, context);
+
+    case 'img':
+    case 'x-img': {
+      // x-img wraps the actual img element, render it only when there is none inside
+      const image = tag === 'x-img' ? node.querySelector('img') || node : node;
+      const src = getImageSource(image);
+      if (!src) return '';
+      const alt = (image.getAttribute('alt') || image.getAttribute('title') || '').trim() || 'Image';
+      return `![${alt}](${resolveUrl(src, context.baseUrl)})`;
+    }
+
+    case 'figure':
+      return renderFigure(node, context);
+
+    case 'ul':
+    case 'ol':
+      return renderList(node, context);
+
+    case 'li':
+      // List items outside of a list, e.g. when only the inner HTML of a list is converted
+      return `\n- ${indentContinuation(renderListItemContent(node, context), '  ')}\n`;
+
+    case 'blockquote':
+      return renderBlockquote(node, context);
+
+    case 'table':
+      return renderTable(node, context);
+
+    default: {
+      // Unknown elements are transparent, only their content is kept
+      const content = renderChildren(node, context);
+
+      // Custom elements and elements with a source are widgets, report the ones left without any content
+      if (!content.trim() && (tag.includes('-') || getEmbedSource(node))) {
+        warn(context, `Unrecognised element ${describeElement(node)} skipped`);
+      }
+
+      return content;
+    }
+  }
+}
+
+/**
+ * Converts HTML to Markdown
+ *
+ * Embedded videos become links with thumbnails, DRIVE2 parts lists become tables, and quoted posts become quotes.
+ * @param {string} html - HTML content to convert
+ * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @param {Object} [options] - Conversion options
+ * @param {Array<string>} [options.warnings] - Array to add warnings about unrecognised elements to
+ * @returns {string} - Markdown content
+ */
+export function convertHtmlToMarkdown(html, baseUrl, options = {}) {
+  // Parse the content of pre elements too, so code inside them is read as text without tags
+  const root = parse(html || '', {
+    comment: false,
+    blockTextElements: { script: true, noscript: true, style: true }
+  });
+  return finalize(renderChildren(root, { baseUrl, warnings: options.warnings }));
+}
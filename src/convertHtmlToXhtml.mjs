@@ -0,0 +1,204 @@
+import { parse, NodeType } from 'node-html-parser';
+
+import { IGNORED_TAGS, getImageSource, resolveUrl } from './convertHtmlToMarkdown.mjs';
+import { EMBED_TAGS, getEmbedSource, getVideo } from './embeds.mjs';
+
+// Elements kept as they are
+const KEPT_TAGS = new Set([
+  'p', 'div', 'span', 'br', 'hr', 'strong', 'b', 'em', 'i', 'u', 'cite', 'del', 's', 'sub', 'sup', 'code', 'pre',
+  'figcaption', 'ul', 'ol', 'li', 'blockquote', 'dl', 'dt', 'dd',
+  'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th'
+]);
+
+// Sectioning elements, kept as plain blocks
+const BLOCK_TAGS = new Set(['section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'address', 'center']);
+
+// Elements without content, self-closed in XHTML
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+// Attributes kept on the elements, everything else is dropped
+const KEPT_ATTRIBUTES = { ol: ['start'], td: ['colspan', 'rowspan'], th: ['colspan', 'rowspan'] };
+
+/**
+ * Escape text for XML, dropping characters XML does not allow
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render an element with the given attributes and content
+ * @param {string} tag - Element name
+ * @param {Object} attributes - Attribute values keyed by name, empty values are skipped
+ * @param {string} content - XHTML content
+ * @returns {string} - XHTML element
+ */
+function element(tag, attributes, content) {
+  const attributesText = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+
+  return VOID_TAGS.has(tag) ? `<${tag}${attributesText}/>` : `<${tag}${attributesText}>${content}</${tag}>`;
+}
+
+/**
+ * Render an image, or a link to it if it is not embedded
+ * @param {Object} node - Image or x-img element
+ * @param {Object} context - Rendering context
+ * @returns {string} - XHTML content
+ */
+function renderImage(node, context) {
+  // x-img wraps the actual img element, render it only when there is none inside
+  const image = node.rawTagName.toLowerCase() === 'x-img' ? node.querySelector('img') || node : node;
+  const src = getImageSource(image);
+  if (!src) return '';
+
+  const url = resolveUrl(src, context.baseUrl);
+  const alt = (image.getAttribute('alt') || image.getAttribute('title') || '').trim();
+  const localSrc = context.resolveImage(url);
+
+  return localSrc ? element('img', { src: localSrc, alt }, '') : element('a', { href: url }, escapeXml(alt || url));
+}
+
+/**
+ * Render an embedded video or another object as a link, players do not work in books
+ * @param {Object} node - Iframe, embed, object, video or audio element
+ * @param {Object} context - Rendering context
+ * @returns {string} - XHTML content
+ */
+function renderEmbed(node, context) {
+  const src = getEmbedSource(node);
+  if (!src) return '';
+
+  const url = resolveUrl(src, context.baseUrl);
+  const video = getVideo(url);
+  const label = (node.getAttribute('title') || '').trim() || (video ? `${video.provider} video` : url);
+
+  return element('div', {}, element('a', { href: video ? video.url : url }, escapeXml(label)));
+}
+
+/**
+ * Render child nodes of an element
+ * @param {Object} node - Parsed element
+ * @param {Object} context - Rendering context
+ * @returns {string} - XHTML content
+ */
+function renderChildren(node, context) {
+  return node.childNodes.map(child => renderNode(child, context)).join('');
+}
+
+/**
+ * Render a single node
+ * @param {Object} node - Parsed node
+ * @param {Object} context - Rendering context
+ * @returns {string} - XHTML content
+ */
+function renderNode(node, context) {
+  if (node.nodeType === NodeType.TEXT_NODE) {
+    return escapeXml(node.text);
+  }
+
+  if (node.nodeType !== NodeType.ELEMENT_NODE) {
+    return '';
+  }
+
+  const tag = node.rawTagName.toLowerCase();
+
+  if (IGNORED_TAGS.has(tag)) {
+    return '';
+  }
+
+  if (EMBED_TAGS.has(tag)) {
+    return renderEmbed(node, context);
+  }
+
+  if (BLOCK_TAGS.has(tag)) {
+    return element('div', {}, renderChildren(node, context));
+  }
+
+  if (/^h[1-6]$/.test(tag)) {
+    // Content is placed under the chapter title, so its headings are shifted one level down
+    return element(`h${Math.min(6, parseInt(tag[1], 10) + 1)}`, {}, renderChildren(node, context));
+  }
+
+  switch (tag) {
+    case 'pre':
+      return element('pre', {}, escapeXml(node.text));
+
+    case 'a': {
+      const href = node.getAttribute('href');
+      const url = href && !/^javascript:/i.test(href) ? resolveUrl(href, context.baseUrl) : null;
+      return url ? element('a', { href: url }, renderChildren(node, context)) : renderChildren(node, context);
+    }
+
+    case 'img':
+    case 'x-img':
+      return renderImage(node, context);
+
+    case 'figure':
+      return element('div', { class: 'figure' }, renderChildren(node, context));
+
+    default: {
+      if (!KEPT_TAGS.has(tag)) {
+        // Unknown elements are transparent, only their content is kept
+        return renderChildren(node, context);
+      }
+
+      const attributes = {};
+      (KEPT_ATTRIBUTES[tag] || []).forEach(name => {
+        attributes[name] = node.getAttribute(name);
+      });
+
+      return element(tag, attributes, renderChildren(node, context));
+    }
+  }
+}
+
+/**
+ * Parse HTML the same way for collecting images and converting it
+ * @param {string} html - HTML content
+ * @returns {Object} - Root node
+ */
+function parseHtml(html) {
+  return parse(html || '', {
+    comment: false,
+    blockTextElements: { script: true, noscript: true, style: true }
+  });
+}
+
+/**
+ * Gets the absolute URLs of all images in HTML, in the order of appearance
+ * @param {string} html - HTML content
+ * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @returns {Array<string>} - Unique image URLs
+ */
+export function getImageUrls(html, baseUrl) {
+  const urls = parseHtml(html).querySelectorAll('img, x-img')
+    .map(image => getImageSource(image))
+    .filter(Boolean)
+    .map(src => resolveUrl(src, baseUrl));
+
+  return [...new Set(urls)];
+}
+
+/**
+ * Converts HTML to well-formed XHTML for EPUB chapters, keeping only simple formatting, links, images and tables
+ * @param {string} html - HTML content to convert
+ * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @param {Object} [options] - Conversion options
+ * @param {Function} [options.resolveImage] - Function returning the path to use for an image URL, or null to link the
+ * image instead of embedding it (default: the image URL)
+ * @returns {string} - XHTML content
+ */
+export function convertHtmlToXhtml(html, baseUrl, options = {}) {
+  const resolveImage = options.resolveImage || (url => url);
+  return renderChildren(parseHtml(html), { baseUrl, resolveImage }).trim();
+}
@@ -0,0 +1,954 @@
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { extractCarReview, generateReviewMarkdown } from './extractCarReview.mjs';
+import { collectBlogPosts, getCarUrl } from './collectBlogPosts.mjs';
+import { extractBlogPost, generateMarkdown, getContentHash, getPublishedAt } from './extractBlogPost.mjs';
+import { ProgressTracker } from './progressTracker.mjs';
+import { FixtureStore } from './fixtures.mjs';
+import { BrowserSession } from './browserSession.mjs';
+import { downloadImages, fetchWithRetry } from './downloadImages.mjs';
+import {
+  createPostRecord,
+  createReviewRecord,
+  saveOutputs,
+  moveOutputs,
+  restorePostData,
+  restoreReviewData
+} from './exporters.mjs';
+import { FilenameGenerator, DEFAULT_FILENAME_TEMPLATE } from './filenames.mjs';
+import { generateIndexes } from './generateIndex.mjs';
+import { generateLedger } from './generateLedger.mjs';
+import { extractUserCars, generateGarageMarkdown, isUserProfileUrl } from './extractUserCars.mjs';
+import { readInputFile } from './readInputFile.mjs';
+import { filterPosts, hasPostFilters } from './filterPosts.mjs';
+import { ARCHIVE_DIR, PageArchive } from './pageArchive.mjs';
+import { createLogger } from './logger.mjs';
+import { BOOK_FORMATS, createBook, generateEpub, generatePdf } from './generateBook.mjs';
+import { linkPosts } from './linkPosts.mjs';
+import {
+  DEFAULT_MAX_RETRIES,
+  DEFAULT_RETRY_DELAY,
+  DEFAULT_TIMEOUT,
+  createDirectoryIfNotExists,
+  createSafeFilename,
+  forEachConcurrently
+} from './utils.mjs';
+
+// Folder for files of posts removed from the site, used by the sync mode with moveRemoved
+export const REMOVED_DIR = '_removed';
+
+// Summary of all cars when crawling a user profile
+export const GARAGE_FILE_NAME = 'Garage.md';
+
+// Default crawler options, the same as the defaults of the command line flags
+export const DEFAULT_OPTIONS = {
+  format: ['markdown'],
+  downloadImages: false,
+  filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+  transliterate: false,
+  maxFilenameLength: 120,
+  comments: true,
+  archive: true,
+  index: true,
+  ledger: false,
+  internalLinks: 'relative',
+  sync: false,
+  moveRemoved: false,
+  retryFailed: false,
+  bookFormat: BOOK_FORMATS,
+  offline: false,
+  concurrency: 1,
+  delay: 2000,
+  timeout: DEFAULT_TIMEOUT,
+  retries: DEFAULT_MAX_RETRIES,
+  retryDelay: DEFAULT_RETRY_DELAY,
+  logLevel: 'info'
+};
+
+/**
+ * Get the file name without extension of a processed post
+ * @param {Object} entry - Progress entry of the post
+ * @returns {string|null} - File name shared by all output formats
+ */
+function getBaseName(entry) {
+  return entry.baseName || (entry.fileName ? entry.fileName.replace(/\.(md|json)$/, '') : null);
+}
+
+/**
+ * Read a JSON record saved next to the Markdown files
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Promise<Object|null>} - Record, or null if there is no such file
+ */
+async function readRecord(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Class to crawl DRIVE2 cars into output directories, reporting what it does with events
+ *
+ * Events:
+ * - page:collected - a page of the list of blog posts is collected: { url, outputDir, page, pageUrl, posts }
+ * - post:start - a blog post is about to be extracted: { post, index, total, outputDir }
+ * - post:done - a blog post is saved or has not changed: { post, index, total, outputDir, status, baseName }
+ * - post:error - a blog post failed: { post, index, total, outputDir, error, attempts }
+ * - progress - a blog post is finished either way: { outputDir, completed, failed, total }
+ *
+ * All pages are loaded by a single browser, started on the first request, so close() has to be called when done.
+ */
+export class Crawler extends EventEmitter {
+  /**
+   * Create a crawler
+   * @param {Object} [options] - Crawler options, see DEFAULT_OPTIONS, named the same as the command line flags in
+   * camelCase, e.g. format, downloadImages, filenameTemplate, sync, concurrency, requestsPerMinute, fixtures, and
+   * the since, until, category and limit post filters, see filterPosts
+   * @param {Object} [options.logger] - Object with debug(), info(), warn() and error() methods (default: console)
+   * @param {string} [options.logLevel] - Minimum level of messages to log, one of LOG_LEVELS (default: info)
+   */
+  constructor(options = {}) {
+    super();
+
+    // Options given as undefined keep their defaults
+    this.options = { ...DEFAULT_OPTIONS };
+    Object.entries(options).forEach(([name, value]) => {
+      if (value !== undefined) this.options[name] = value;
+    });
+
+    this.logger = createLogger({ level: this.options.logLevel, output: this.options.logger });
+
+    // Fail early on invalid post filters, before any page is loaded
+    filterPosts([], this.options);
+
+    this.requestSettings = {
+      userAgent: this.options.userAgent,
+      timeout: this.options.timeout,
+      maxRetries: this.options.retries,
+      retryDelay: this.options.retryDelay
+    };
+    this.downloadImages = this.options.downloadImages;
+    this.session = null;
+  }
+
+  /**
+   * Start the shared browser session, loading saved pages when working offline
+   * @returns {Promise<BrowserSession>}
+   */
+  async start() {
+    if (this.session) {
+      return this.session;
+    }
+
+    let fixtures = null;
+    if (this.options.offline || this.options.fixtures) {
+      const fixturesDir = this.options.fixtures || 'html';
+      fixtures = new FixtureStore(fixturesDir);
+      const pagesCount = await fixtures.load();
+      this.logger.info(`Offline mode: ${pagesCount} saved pages found in ${fixturesDir}`);
+    }
+
+    // Share a single browser across the whole run
+    const session = new BrowserSession({
+      concurrency: this.options.concurrency,
+      delay: this.options.delay,
+      requestsPerMinute: this.options.requestsPerMinute,
+      fixtures,
+      logger: this.logger,
+      ...this.requestSettings
+    });
+    await session.start();
+
+    this.downloadImages = this.options.downloadImages && !fixtures;
+    if (this.options.downloadImages && fixtures) {
+      this.logger.info('Images are not downloaded in offline mode, keeping remote links...');
+    }
+
+    this.session = session;
+    return session;
+  }
+
+  /**
+   * Close the shared browser session
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.session) {
+      await this.session.close();
+      this.session = null;
+    }
+  }
+
+  /**
+   * Create a file name generator, keeping the names of posts saved during previous runs
+   * @param {ProgressTracker} progress - Progress of the output directory
+   * @returns {FilenameGenerator}
+   */
+  createFilenameGenerator(progress) {
+    const filenames = new FilenameGenerator({
+      template: this.options.filenameTemplate,
+      transliterate: this.options.transliterate,
+      maxLength: this.options.maxFilenameLength
+    });
+
+    progress.getProcessedPosts().forEach(entry => {
+      const name = getBaseName(entry);
+      if (name) filenames.reserve(name);
+    });
+
+    return filenames;
+  }
+
+  /**
+   * Run a function archiving every page it fetches into the output directory
+   * @param {string} outputDir - Output directory to keep the archive in
+   * @param {Function} callback - Async function fetching the pages
+   * @returns {Promise<*>} - Result of the callback
+   */
+  async withArchive(outputDir, callback) {
+    const session = await this.start();
+
+    // Saved pages are on disk already, only live ones are archived
+    if (!this.options.archive || session.fixtures) {
+      return callback();
+    }
+
+    const archive = new PageArchive(outputDir);
+    await archive.load();
+    session.setArchive(archive);
+
+    // The session is shared by every car of the run, so the archive is detached when the car is done
+    try {
+      return await callback();
+    } finally {
+      session.setArchive(null);
+    }
+  }
+
+  /**
+   * Extract the car review and save it as Home
+   * @param {string} carUrl - URL of the car page
+   * @param {string} outputDir - Output directory of the car
+   * @param {ProgressTracker} progress - Progress of the output directory
+   * @returns {Promise<void>}
+   */
+  async writeReview(carUrl, outputDir, progress) {
+    const formats = this.options.format;
+    const reviewData = await extractCarReview(carUrl, await this.start());
+    let carReview = generateReviewMarkdown(reviewData);
+    let assetsComplete = true;
+
+    // Save images locally and point the review to them
+    if (this.downloadImages) {
+      const result = await downloadImages(carReview, {
+        outputDir,
+        assetsName: 'Home',
+        progress,
+        requestSettings: this.requestSettings,
+        logger: this.logger
+      });
+      carReview = result.markdown;
+      assetsComplete = result.failed.length === 0;
+    }
+
+    const record = createReviewRecord(reviewData);
+    await saveOutputs({ outputDir, baseName: 'Home', markdown: carReview, record, formats });
+    this.logger.info(`Car review saved as Home (${formats.join(', ')})`);
+
+    // Update progress, the review is extracted again next time if some images are missing
+    if (assetsComplete) {
+      await progress.markReviewComplete();
+    }
+  }
+
+  /**
+   * Log the content of a post the converter did not recognise, every element once
+   * @param {string} baseName - File name of the post
+   * @param {Array<string>} warnings - Warnings returned by generateMarkdown
+   */
+  logWarnings(baseName, warnings) {
+    [...new Set(warnings)].forEach(warning => this.logger.warn(`${baseName}: ${warning}`));
+  }
+
+  /**
+   * Extract a blog post and save it in every requested format
+   * @param {Object} post - Post from the list returned by collectBlogPosts, or just its link
+   * @param {Object} context - State of the output directory
+   * @param {string} context.outputDir - Output directory of the car
+   * @param {ProgressTracker} context.progress - Progress of the output directory
+   * @param {FilenameGenerator} context.filenames - File name generator of the output directory
+   * @returns {Promise<{status: string, baseName: string}>} - Status "added", "updated" or "unchanged" and file name
+   */
+  async writePost(post, { outputDir, progress, filenames }) {
+    const formats = this.options.format;
+    const processedPost = progress.getProcessedPost(post);
+
+    // Extract the blog post, the session keeps requests rate limited
+    const postData = await extractBlogPost(post.link, await this.start(), { comments: this.options.comments });
+    const contentHash = getContentHash(postData);
+
+    // Skip posts that have not changed since they were saved
+    const isComplete = processedPost && processedPost.assetsComplete !== false;
+    if (isComplete && processedPost.contentHash === contentHash) {
+      return { status: 'unchanged', baseName: getBaseName(processedPost) };
+    }
+
+    // Keep the file name of a previously saved post, so its files are overwritten in place
+    const baseName = (processedPost && getBaseName(processedPost)) || filenames.generate({
+      ...post,
+      title: post.title || postData.title,
+      date: getPublishedAt(postData, post)
+    });
+
+    const warnings = [];
+    let postContent = generateMarkdown(postData, post, { warnings });
+    this.logWarnings(baseName, warnings);
+    let assets = {};
+    let assetsComplete = true;
+
+    // Save images locally and point the post to them
+    if (this.downloadImages) {
+      const result = await downloadImages(postContent, {
+        outputDir,
+        assetsName: baseName,
+        progress,
+        requestSettings: this.requestSettings,
+        logger: this.logger
+      });
+      postContent = result.markdown;
+      assets = result.assets;
+      assetsComplete = result.failed.length === 0;
+    }
+
+    // Save the post in every requested format
+    const record = createPostRecord(postData, post, assets);
+    const fileName = await saveOutputs({ outputDir, baseName, markdown: postContent, record, formats });
+    this.logger.info(`${processedPost ? 'Updated' : 'Saved'}: ${baseName} (${formats.join(', ')})`);
+
+    // Update progress file after each successful post, keeping the data needed to build indexes
+    const metadata = {
+      date: record.date,
+      category: record.category,
+      mileage: record.mileage.text,
+      cost: record.cost.text
+    };
+    await progress.markPostProcessed({ ...post, title: post.title || postData.title }, fileName, {
+      baseName,
+      contentHash,
+      assetsComplete,
+      metadata
+    });
+
+    return { status: processedPost ? 'updated' : 'added', baseName };
+  }
+
+  /**
+   * Generate the indexes and reports requested by the options, and link the saved posts to each other
+   * @param {string} outputDir - Output directory of the car
+   * @param {ProgressTracker} progress - Progress of the output directory
+   * @param {Array} [blogPosts] - Posts returned by collectBlogPosts
+   * @returns {Promise<void>}
+   */
+  async generateReports(outputDir, progress, blogPosts) {
+    // Rebuild indexes from everything processed so far, including previous runs
+    if (this.options.index) {
+      const indexedCount = await generateIndexes(outputDir, progress.getProcessedPosts(), blogPosts);
+      this.logger.info(`Index.md generated with ${indexedCount} posts`);
+    }
+
+    // Summarize costs and mileage of all processed posts
+    if (this.options.ledger) {
+      const expensesCount = await generateLedger(outputDir, progress.getProcessedPosts(), blogPosts);
+      this.logger.info(`Ledger generated with ${expensesCount} expenses`);
+    }
+
+    // Point links between posts to the local files and add backlinks
+    if (this.options.format.includes('markdown')) {
+      const posts = progress.getProcessedPosts()
+        .map(entry => ({ baseName: getBaseName(entry), link: entry.link, title: entry.title }))
+        .filter(post => post.baseName);
+      const { linksCount, backlinksCount } = await linkPosts(outputDir, posts, { style: this.options.internalLinks });
+      this.logger.info(`Linked ${linksCount} references between saved posts, ${backlinksCount} posts have backlinks`);
+    }
+  }
+
+  /**
+   * Crawl a single car: the review, the logbook posts and the indexes
+   * @param {string} carUrl - URL of the car page or of its logbook
+   * @param {string} [outputDir] - Output directory of the car (default: the output option)
+   * @returns {Promise<Object>} - Crawl results: url, outputDir, postsCount, processedCount, failedCount of posts
+   * still failing after this run, the list of posts with their status, baseName or error, and sync statistics in the
+   * sync mode
+   */
+  async crawlCar(carUrl, outputDir = this.options.output) {
+    if (!outputDir) {
+      throw new Error('Output directory is required');
+    }
+
+    return this.withArchive(outputDir, () => this.crawlCarPosts(getCarUrl(carUrl), outputDir));
+  }
+
+  /**
+   * Crawl a car into its output directory, see crawlCar
+   * @param {string} carUrl - URL of the car page
+   * @param {string} outputDir - Output directory of the car
+   * @returns {Promise<Object>} - Crawl results
+   */
+  async crawlCarPosts(carUrl, outputDir) {
+    const { options, logger } = this;
+    const session = await this.start();
+
+    // Create output directory if it doesn't exist
+    await createDirectoryIfNotExists(outputDir);
+    logger.info(`Output directory: ${outputDir}`);
+
+    // Initialize progress tracker
+    const progress = new ProgressTracker(outputDir);
+    await progress.load();
+
+    // The car URL lets the render command find its pages in the archive
+    await progress.setCarUrl(carUrl);
+
+    if (progress.getProcessedCount() > 0) {
+      logger.info(`Resuming from previous progress. ${progress.getProcessedCount()} posts already processed.`);
+    } else {
+      logger.info('Starting fresh extraction...');
+    }
+
+    // Extract car review and save as Home.md if not done yet, sync mode always refreshes it
+    if (options.sync || !progress.isReviewComplete()) {
+      logger.info('Extracting car review...');
+      try {
+        await this.writeReview(carUrl, outputDir, progress);
+      } catch (error) {
+        logger.error('Error extracting car review:', error.message);
+        logger.error('Will continue with blog posts collection...');
+      }
+    } else {
+      logger.info('Car review already extracted, skipping...');
+    }
+
+    // Collect all blog posts
+    logger.info('Collecting blog posts...');
+    const blogPosts = await collectBlogPosts(carUrl, session, {
+      onPage: pageInfo => this.emit('page:collected', { url: carUrl, outputDir, ...pageInfo })
+    });
+    logger.info(`Found ${blogPosts.length} blog posts`);
+
+    // Only matching posts are extracted, the whole list still detects removed posts and fills in the indexes
+    const selectedPosts = filterPosts(blogPosts, options);
+    if (hasPostFilters(options)) {
+      logger.info(`${selectedPosts.length} of ${blogPosts.length} posts match the filters`);
+    }
+
+    // Generate unique file names, keeping the ones of posts saved during previous runs
+    const filenames = this.createFilenameGenerator(progress);
+
+    // In sync mode every post is fetched again to detect edits, otherwise only unprocessed posts are
+    let postsToProcess;
+    if (options.retryFailed) {
+      const failedLinks = new Set(progress.getFailedPosts().map(entry => entry.link));
+      postsToProcess = selectedPosts.filter(post => failedLinks.has(post.link));
+      logger.info(`${postsToProcess.length} failed posts to retry`);
+    } else {
+      postsToProcess = options.sync ? selectedPosts : progress.filterRemainingPosts(selectedPosts);
+      logger.info(`${postsToProcess.length} posts ${options.sync ? 'to check' : 'remaining to process'}`);
+    }
+
+    const syncStats = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+    const results = [];
+    const total = postsToProcess.length;
+    let runFailedCount = 0;
+
+    // Extract and save each blog post, several at a time if requested
+    logger.info('Extracting blog posts content...');
+    await forEachConcurrently(postsToProcess, options.concurrency, async (post, index) => {
+      logger.info(`Processing post ${index + 1}/${total}: ${post.title}`);
+      this.emit('post:start', { post, index, total, outputDir });
+
+      try {
+        const { status, baseName } = await this.writePost(post, { outputDir, progress, filenames });
+        syncStats[status]++;
+        results.push({ link: post.link, title: post.title, status, baseName });
+        this.emit('post:done', { post, index, total, outputDir, status, baseName });
+      } catch (error) {
+        logger.error(`Error processing post: ${post.title}`, error.message);
+        runFailedCount++;
+        results.push({ link: post.link, title: post.title, status: 'failed', error: error.message });
+
+        // Keep the failure, so the post can be retried with retryFailed
+        const { attempts } = await progress.markPostFailed(post, error);
+        this.emit('post:error', { post, index, total, outputDir, error, attempts });
+        // Continue with the next post even if one fails
+      }
+
+      const completed = results.length - runFailedCount;
+      this.emit('progress', { outputDir, completed, failed: runFailedCount, total });
+    });
+
+    // Report posts that are no longer present on the site
+    if (options.sync) {
+      const removedPosts = progress.getRemovedPosts(blogPosts);
+
+      for (const removedPost of removedPosts) {
+        logger.info(`Removed from the site: ${removedPost.title} (${removedPost.link})`);
+
+        if (options.moveRemoved) {
+          const baseName = getBaseName(removedPost);
+          if (baseName) {
+            const moved = await moveOutputs(outputDir, baseName, REMOVED_DIR);
+            logger.info(`Moved ${moved.length} files to ${REMOVED_DIR}`);
+          }
+          await progress.markPostRemoved(removedPost);
+        }
+      }
+
+      syncStats.removed = removedPosts.length;
+      logger.info(`Sync complete: ${syncStats.added} new, ${syncStats.updated} updated, ` +
+        `${syncStats.unchanged} unchanged, ${syncStats.removed} removed from the site`);
+    }
+
+    await this.generateReports(outputDir, progress, blogPosts);
+
+    // Failures of posts no longer present on the site do not count
+    const listedLinks = new Set(blogPosts.map(post => post.link));
+    const failedCount = progress.getFailedPosts().filter(entry => listedLinks.has(entry.link)).length;
+    if (failedCount > 0) {
+      logger.warn(`${failedCount} posts failed, retry only them with --retry-failed`);
+    }
+
+    return {
+      url: carUrl,
+      outputDir,
+      postsCount: blogPosts.length,
+      processedCount: progress.getProcessedCount(),
+      failedCount,
+      posts: results,
+      sync: options.sync ? syncStats : null
+    };
+  }
+
+  /**
+   * Crawl every car of a user profile into its own sub-directory
+   * @param {string} profileUrl - URL of the user profile
+   * @param {string} [outputDir] - Output directory of the profile (default: the output option)
+   * @returns {Promise<Object>} - Crawl results: url, outputDir, name of the user, cars with their progress entries,
+   * postsCount, processedCount and failedCount of all cars, and failedCarsCount of cars failed as a whole
+   */
+  async crawlUserProfile(profileUrl, outputDir = this.options.output) {
+    const { logger } = this;
+
+    await createDirectoryIfNotExists(outputDir);
+    logger.info(`Output directory: ${outputDir}`);
+
+    // The profile keeps its own progress, listing cars and the sub-directories they are saved into
+    const progress = new ProgressTracker(outputDir);
+    await progress.load();
+
+    logger.info('Collecting cars of the user profile...');
+    const profile = await extractUserCars(profileUrl, await this.start());
+    logger.info(`Found ${profile.cars.length} cars of ${profile.name}`);
+
+    // Directories of cars crawled during previous runs are kept, new ones get unique names
+    const usedDirNames = new Set(progress.getCars().map(car => car.dirName.toLowerCase()));
+    let failedCarsCount = 0;
+
+    for (const [i, car] of profile.cars.entries()) {
+      const carEntry = progress.getCar(car.url);
+
+      // Cars crawled completely before are skipped, unless syncing
+      if (carEntry && carEntry.complete && !this.options.sync) {
+        logger.info(`Car ${i + 1}/${profile.cars.length} already crawled, skipping: ${car.title}`);
+        continue;
+      }
+
+      let dirName = carEntry?.dirName;
+      if (!dirName) {
+        dirName = createSafeFilename(car.title);
+        if (usedDirNames.has(dirName.toLowerCase())) {
+          dirName = `${dirName} (${car.url.match(/(\d+)\/?$/)[1]})`;
+        }
+        usedDirNames.add(dirName.toLowerCase());
+      }
+
+      logger.info(`Crawling car ${i + 1}/${profile.cars.length}: ${car.title}`);
+      try {
+        const result = await this.crawlCar(car.url, path.join(outputDir, dirName));
+        await progress.markCarProcessed(car, { dirName, complete: result.failedCount === 0, ...result });
+      } catch (error) {
+        logger.error(`Error crawling car: ${car.title}`, error.message);
+        failedCarsCount++;
+        await progress.markCarProcessed(car, { dirName, complete: false });
+        // Continue with the next car even if one fails
+      }
+    }
+
+    // Summarize cars in the order of the profile, keeping cars crawled earlier and no longer listed at the end
+    const listedUrls = profile.cars.map(car => car.url);
+    const cars = [
+      ...listedUrls.map(url => progress.getCar(url)).filter(Boolean),
+      ...progress.getCars().filter(car => !listedUrls.includes(car.url))
+    ];
+    await fs.writeFile(path.join(outputDir, GARAGE_FILE_NAME), generateGarageMarkdown(profile, cars));
+    logger.info(`${GARAGE_FILE_NAME} generated with ${cars.length} cars`);
+
+    // Cars that failed before any posts were collected count as one failure each
+    const totals = cars.reduce((total, car) => ({
+      postsCount: total.postsCount + (car.postsCount || 0),
+      processedCount: total.processedCount + (car.processedCount || 0),
+      failedCount: total.failedCount + (car.failedCount ?? (car.complete ? 0 : 1))
+    }), { postsCount: 0, processedCount: 0, failedCount: 0 });
+
+    return { url: profileUrl, outputDir, name: profile.name, cars, ...totals, failedCarsCount };
+  }
+
+  /**
+   * Crawl a car or, for user profile URLs, all cars of the profile
+   * @param {string} url - URL of the car page or the user profile
+   * @param {string} [outputDir] - Output directory (default: the output option)
+   * @returns {Promise<Object>} - Results of crawlCar or crawlUserProfile
+   */
+  async crawl(url, outputDir = this.options.output) {
+    return isUserProfileUrl(url) ? this.crawlUserProfile(url, outputDir) : this.crawlCar(url, outputDir);
+  }
+
+  /**
+   * Crawl every car and user profile listed in an input file, each into its own sub-directory
+   * @param {string} inputFile - Path to the text or CSV file
+   * @param {string} [outputDir] - Output directory containing all sub-directories (default: the output option)
+   * @returns {Promise<{results: Array, succeededCount: number}>} - Results of every URL, with an error message for
+   * failed ones, and the number of URLs crawled without errors
+   */
+  async crawlBatch(inputFile, outputDir = this.options.output) {
+    const { logger } = this;
+    const entries = await readInputFile(inputFile);
+    logger.info(`Found ${entries.length} URLs in ${inputFile}`);
+
+    const results = [];
+
+    // Crawl one URL at a time, every sub-directory keeps its own progress so the batch can be resumed
+    for (const [i, entry] of entries.entries()) {
+      logger.info(`Crawling ${i + 1}/${entries.length}: ${entry.url}`);
+
+      try {
+        const result = await this.crawl(entry.url, path.join(outputDir, entry.dirName));
+        results.push({ ...entry, ...result, error: null });
+      } catch (error) {
+        logger.error(`Error crawling ${entry.url}`, error.message);
+        results.push({ ...entry, error: error.message });
+        // Continue with the next URL even if one fails
+      }
+    }
+
+    // Log the summary of the whole batch
+    logger.info('\nBatch summary:');
+    results.forEach(result => {
+      if (result.error) {
+        logger.info(`  FAILED   ${result.dirName}: ${result.error}`);
+        return;
+      }
+
+      const status = result.failedCount > 0 ? 'PARTIAL' : 'OK';
+      logger.info(`  ${status.padEnd(8)} ${result.dirName}: ${result.postsCount} posts found, ` +
+        `${result.processedCount} saved, ${result.failedCount} failed`);
+    });
+
+    const succeededCount = results.filter(result => !result.error && result.failedCount === 0).length;
+    logger.info(`${succeededCount} of ${results.length} URLs crawled without errors`);
+
+    return { results, succeededCount };
+  }
+
+  /**
+   * List the blog posts of a car matching the post filters, without extracting them
+   * @param {string} url - URL of the car page or of its logbook
+   * @returns {Promise<Array>} - Posts with their title, link, date, category, mileage and price
+   */
+  async listPosts(url) {
+    const carUrl = getCarUrl(url);
+    const blogPosts = await collectBlogPosts(carUrl, await this.start(), {
+      onPage: pageInfo => this.emit('page:collected', { url: carUrl, outputDir: null, ...pageInfo })
+    });
+
+    return filterPosts(blogPosts, this.options);
+  }
+
+  /**
+   * Extract a single blog post into the output directory
+   * @param {string} url - URL of the blog post
+   * @param {string} [outputDir] - Output directory (default: the output option)
+   * @returns {Promise<{status: string, baseName: string}>} - Status "added", "updated" or "unchanged" and file name
+   */
+  async extractPost(url, outputDir = this.options.output) {
+    await createDirectoryIfNotExists(outputDir);
+
+    // Posts saved one by one share the progress, and so the file names, of a crawled car
+    const progress = new ProgressTracker(outputDir);
+    await progress.load();
+    const filenames = this.createFilenameGenerator(progress);
+
+    const result = await this.withArchive(outputDir,
+      () => this.writePost({ link: url }, { outputDir, progress, filenames }));
+    if (result.status === 'unchanged') {
+      this.logger.info('The post has not changed since it was saved');
+    }
+
+    return result;
+  }
+
+  /**
+   * Extract the review of a car into Home.md of the output directory
+   * @param {string} url - URL of the car page or of its logbook
+   * @param {string} [outputDir] - Output directory (default: the output option)
+   * @returns {Promise<void>}
+   */
+  async extractReview(url, outputDir = this.options.output) {
+    const carUrl = getCarUrl(url);
+    await createDirectoryIfNotExists(outputDir);
+
+    const progress = new ProgressTracker(outputDir);
+    await progress.load();
+
+    await progress.setCarUrl(carUrl);
+    await this.withArchive(outputDir, () => this.writeReview(carUrl, outputDir, progress));
+  }
+
+  /**
+   * Load the saved review and posts of an output directory without fetching anything
+   *
+   * Pages kept in the archive are extracted again, so changes of the extraction and conversion apply to them too,
+   * other posts are restored from their JSON records.
+   * @param {string} outputDir - Output directory of the car
+   * @returns {Promise<Object>} - progress of the output directory, reviewData or null, posts with their baseName,
+   * postData and post in the order of the progress, archivedCount of posts loaded from archived pages and
+   * skippedCount of posts without an archived page or JSON record
+   */
+  async loadSavedContent(outputDir) {
+    const { logger } = this;
+
+    const progress = new ProgressTracker(outputDir);
+    await progress.load();
+
+    // Archived pages are loaded the same way as offline fixtures: scripts disabled and no requests
+    let archive = null;
+    let session = null;
+    if (this.options.archive) {
+      archive = new PageArchive(outputDir);
+      const pagesCount = await archive.load();
+
+      if (pagesCount > 0) {
+        logger.info(`${pagesCount} archived pages found in ${ARCHIVE_DIR}`);
+        session = new BrowserSession({ fixtures: archive, logger });
+      } else {
+        archive = null;
+      }
+    }
+
+    try {
+      const carUrl = progress.getCarUrl();
+      const isCarArchived = Boolean(archive && carUrl && archive.has(carUrl));
+
+      let reviewData = null;
+      if (isCarArchived) {
+        reviewData = await extractCarReview(carUrl, session);
+      } else {
+        const reviewRecord = await readRecord(path.join(outputDir, 'Home.json'));
+        reviewData = reviewRecord && restoreReviewData(reviewRecord);
+      }
+
+      // The archived list of posts provides their categories, mileage and costs
+      const listedPosts = isCarArchived ? await collectBlogPosts(carUrl, session) : [];
+
+      const posts = [];
+      let archivedCount = 0;
+      let skippedCount = 0;
+
+      for (const entry of progress.getProcessedPosts()) {
+        const baseName = getBaseName(entry);
+
+        if (baseName && archive && archive.has(entry.link)) {
+          const post = listedPosts.find(listedPost => listedPost.link === entry.link) ||
+            { link: entry.link, title: entry.title };
+          const postData = await extractBlogPost(entry.link, session, { comments: this.options.comments });
+          posts.push({ baseName, postData, post });
+          archivedCount++;
+          continue;
+        }
+
+        const record = baseName && await readRecord(path.join(outputDir, `${baseName}.json`));
+        if (!record) {
+          logger.info(`No archived page or JSON record found, skipping: ${entry.title}`);
+          skippedCount++;
+          continue;
+        }
+
+        posts.push({ baseName, ...restorePostData(record) });
+      }
+
+      return { progress, reviewData, posts, archivedCount, skippedCount };
+    } finally {
+      if (session) {
+        await session.close();
+      }
+    }
+  }
+
+  /**
+   * Regenerate Markdown and JSON of saved posts without fetching anything, see loadSavedContent
+   * @param {string} [outputDir] - Output directory of the car (default: the output option)
+   * @returns {Promise<{renderedCount: number, archivedCount: number, skippedCount: number}>} - Numbers of rendered
+   * posts, of them rendered from archived pages, and of posts skipped without an archived page or JSON record
+   */
+  async render(outputDir = this.options.output) {
+    const { logger } = this;
+
+    const formats = this.options.format;
+
+    const { progress, reviewData, posts, archivedCount, skippedCount } = await this.loadSavedContent(outputDir);
+
+    // Link images downloaded earlier, nothing is fetched
+    const renderImages = (markdown, assetsName) =>
+      downloadImages(markdown, { outputDir, assetsName, progress, offline: true, logger });
+
+    if (reviewData) {
+      const { markdown } = await renderImages(generateReviewMarkdown(reviewData), 'Home');
+      await saveOutputs({ outputDir, baseName: 'Home', markdown, record: createReviewRecord(reviewData), formats });
+      logger.info('Rendered: Home');
+    }
+
+    for (const { baseName, postData, post } of posts) {
+      const warnings = [];
+      const { markdown, assets } = await renderImages(generateMarkdown(postData, post, { warnings }), baseName);
+      this.logWarnings(baseName, warnings);
+      await saveOutputs({ outputDir, baseName, markdown, record: createPostRecord(postData, post, assets), formats });
+    }
+
+    logger.info(`Rendered ${posts.length} posts, ${archivedCount} of them from archived pages, ` +
+      `${skippedCount} skipped without an archived page or JSON record`);
+
+    // Posts restored from the records fill in index data missing in older progress files
+    await this.generateReports(outputDir, progress, posts.map(({ post }) => post));
+
+    return { renderedCount: posts.length, archivedCount, skippedCount };
+  }
+
+  /**
+   * Load an image of a book, preferring the downloaded copy
+   * @param {string} url - Image URL
+   * @param {string} outputDir - Output directory of the car
+   * @param {ProgressTracker} progress - Progress of the output directory
+   * @returns {Promise<Object|null>} - Image data with its path or content type, null if it is not available
+   */
+  async loadBookImage(url, outputDir, progress) {
+    const assetPath = progress.getAsset(url);
+    if (assetPath) {
+      try {
+        return { data: await fs.readFile(path.join(outputDir, assetPath)), path: assetPath };
+      } catch (error) {
+        // The downloaded copy is gone, fetch the image again
+      }
+    }
+
+    if (this.options.offline) return null;
+
+    try {
+      return await fetchWithRetry(url, this.requestSettings, this.logger);
+    } catch (error) {
+      this.logger.error(`Failed to download image ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Compile the review and all saved posts, oldest first, into books without fetching any pages
+   *
+   * Images are embedded from the downloaded copies, others are fetched unless working offline. Books are named after
+   * the car and saved into the output directory.
+   * @param {string} [outputDir] - Output directory of the car (default: the output option)
+   * @param {Array<string>} [formats] - Book formats, see BOOK_FORMATS (default: the bookFormat option)
+   * @returns {Promise<{files: Array<string>, chaptersCount: number, imagesCount: number}>} - Paths of the saved books,
+   * numbers of chapters and embedded images
+   */
+  async exportBook(outputDir = this.options.output, formats = this.options.bookFormat) {
+    const { logger } = this;
+
+    const unknownFormat = formats.find(format => !BOOK_FORMATS.includes(format));
+    if (formats.length === 0 || unknownFormat) {
+      throw new Error(`Invalid book format ${unknownFormat || 'list'}, expected ${BOOK_FORMATS.join(' or ')}`);
+    }
+
+    const { progress, reviewData, posts, skippedCount } = await this.loadSavedContent(outputDir);
+    if (!reviewData && posts.length === 0) {
+      throw new Error(`Nothing to export in ${outputDir}, crawl the car first`);
+    }
+
+    // Chapters follow the history of the car, posts without a recognized date go last
+    const timestamps = new Map(posts.map(item => [item, getPublishedAt(item.postData, item.post)]));
+    const getTime = item => (timestamps.get(item) ? Date.parse(timestamps.get(item)) : Infinity);
+    const chronologicalPosts = [...posts].sort((a, b) => (getTime(a) - getTime(b)) || 0);
+
+    const book = await createBook({ reviewData, posts: chronologicalPosts }, {
+      url: progress.getCarUrl(),
+      logger,
+      loadImage: url => this.loadBookImage(url, outputDir, progress)
+    });
+
+    const baseName = createSafeFilename(book.title);
+    const files = [];
+
+    if (formats.includes('epub')) {
+      const filePath = path.join(outputDir, `${baseName}.epub`);
+      await fs.writeFile(filePath, generateEpub(book));
+      files.push(filePath);
+    }
+
+    if (formats.includes('pdf')) {
+      // The PDF is printed by a separate browser, offline fixtures are not needed for it
+      const session = new BrowserSession({ logger });
+      try {
+        await session.start();
+        const filePath = path.join(outputDir, `${baseName}.pdf`);
+        await fs.writeFile(filePath, await generatePdf(book, session));
+        files.push(filePath);
+      } finally {
+        await session.close();
+      }
+    }
+
+    logger.info(`Exported ${book.chapters.length} chapters with ${book.images.size} images: ${files.join(', ')}` +
+      (skippedCount > 0 ? `, ${skippedCount} posts skipped without an archived page or JSON record` : ''));
+
+    return { files, chaptersCount: book.chapters.length, imagesCount: book.images.size };
+  }
+}
+
+/**
+ * Crawls a single car into the output directory: the review, the logbook posts and the indexes
+ *
+ * Example:
+ * const result = await crawlCar('https://www.drive2.ru/r/toyota/chaser/288230376151952785/', {
+ *   output: './toyota_chaser',
+ *   format: ['markdown', 'json'],
+ *   logLevel: 'warn',
+ *   on: { 'post:done': ({ post, status }) => console.log(status, post.title) }
+ * });
+ * @param {string} url - URL of the car page
+ * @param {Object} options - Crawler options, see Crawler
+ * @param {string} options.output - Output directory
+ * @param {Object} [options.on] - Event listeners keyed by event name, see Crawler
+ * @returns {Promise<Object>} - Crawl results, see Crawler.crawlCar
+ */
+export async function crawlCar(url, options = {}) {
+  const crawler = new Crawler(options);
+  Object.entries(options.on || {}).forEach(([event, listener]) => crawler.on(event, listener));
+
+  try {
+    return await crawler.crawlCar(url, options.output);
+  } finally {
+    await crawler.close();
+  }
+}
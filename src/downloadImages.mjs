@@ -0,0 +1,187 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { defaultLogger } from './logger.mjs';
+import { getBackoffDelay } from './rateLimiter.mjs';
+import {
+  DEFAULT_MAX_RETRIES,
+  DEFAULT_RETRY_DELAY,
+  createDirectoryIfNotExists,
+  encodeMarkdownPath,
+  getPageConfig
+} from './utils.mjs';
+
+// Markdown image links pointing to remote files: ![caption](https://...), the caption may contain escaped brackets
+const IMAGE_LINK_REGEX = /!\[((?:\\.|[^\]\\])*)\]\((https?:\/\/[^)\s]+)\)/g;
+
+// File extensions for image content types
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/svg+xml': '.svg'
+};
+
+/**
+ * Get file extension for a downloaded image
+ * @param {string} url - Image URL
+ * @param {string} contentType - Content-Type header of the response
+ * @returns {string} - File extension including the dot
+ */
+function getImageExtension(url, contentType) {
+  // Prefer the content type, so identical images always get identical names
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (CONTENT_TYPE_EXTENSIONS[mimeType]) {
+    return CONTENT_TYPE_EXTENSIONS[mimeType];
+  }
+
+  const urlExtension = path.extname(new URL(url).pathname).toLowerCase();
+  return /^\.[a-z0-9]{2,5}$/.test(urlExtension) ? urlExtension : '.jpg';
+}
+
+/**
+ * Download a file with retry logic
+ * @param {string} url - URL to download
+ * @param {Object} options - Request settings: userAgent, timeout, maxRetries and retryDelay
+ * @param {Object} [logger] - Logger created by createLogger
+ * @returns {Promise<Object>} - Downloaded data and its content type
+ */
+export async function fetchWithRetry(url, options = {}, logger = defaultLogger) {
+  const maxRetries = options.maxRetries || DEFAULT_MAX_RETRIES;
+  const retryDelay = options.retryDelay || DEFAULT_RETRY_DELAY;
+  const { headers, navigationOptions } = getPageConfig(options);
+
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const response = await fetch(url, {
+        headers: {
+          'User-Agent': headers['User-Agent'],
+          'Referer': 'https://www.drive2.ru/'
+        },
+        signal: AbortSignal.timeout(navigationOptions.timeout)
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      return {
+        data: Buffer.from(await response.arrayBuffer()),
+        contentType: response.headers.get('content-type')
+      };
+    } catch (error) {
+      lastError = error;
+      logger.warn(`Image download failed: ${error.message} (${maxRetries - attempt} attempts left)`);
+
+      if (attempt < maxRetries) {
+        // Wait before retrying, longer after every failed attempt
+        await new Promise(resolve => setTimeout(resolve, getBackoffDelay(attempt, retryDelay)));
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Download a single image into the assets directory, deduplicated by content hash
+ * @param {string} url - Image URL
+ * @param {string} assetsDir - Directory to save the image into
+ * @param {Object} requestSettings - Request settings passed to fetchWithRetry
+ * @param {Object} logger - Logger created by createLogger
+ * @returns {Promise<string>} - Path of the saved image
+ */
+async function downloadImage(url, assetsDir, requestSettings, logger) {
+  const { data, contentType } = await fetchWithRetry(url, requestSettings, logger);
+
+  // Name the file after its content, so the same image is stored only once
+  const hash = createHash('sha256').update(data).digest('hex').slice(0, 16);
+  const filePath = path.join(assetsDir, `${hash}${getImageExtension(url, contentType)}`);
+
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    // Write to a temporary file first, so an interrupted download never leaves a broken image
+    const tempPath = `${filePath}.part`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  }
+
+  return filePath;
+}
+
+/**
+ * Check if a previously downloaded asset is still on disk
+ * @param {string} outputDir - Output directory
+ * @param {string} assetPath - Asset path relative to the output directory
+ * @returns {Promise<boolean>}
+ */
+async function assetExists(outputDir, assetPath) {
+  try {
+    await fs.access(path.join(outputDir, assetPath));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Downloads all images referenced in Markdown and rewrites links to local paths
+ * @param {string} markdown - Markdown content with remote image links
+ * @param {Object} options - Download options
+ * @param {string} options.outputDir - Output directory where the Markdown file is saved
+ * @param {string} options.assetsName - Name of the assets folder for this file
+ * @param {Object} options.progress - ProgressTracker to record downloaded assets in
+ * @param {boolean} [options.offline] - Only link images downloaded earlier, keeping the others remote
+ * @param {Object} [options.requestSettings] - User agent, timeout, maxRetries and retryDelay of image requests
+ * @param {Object} [options.logger] - Logger created by createLogger
+ * @returns {Promise<Object>} - Rewritten Markdown, local paths keyed by URL and the list of images that failed to
+ * download
+ */
+export async function downloadImages(markdown, options) {
+  const { outputDir, assetsName, progress, offline, requestSettings = {}, logger = defaultLogger } = options;
+  const assetsDir = path.join(outputDir, 'assets', assetsName);
+  const urls = [...new Set(Array.from(markdown.matchAll(IMAGE_LINK_REGEX), match => match[2]))];
+  const localPaths = {};
+  const failed = [];
+
+  for (const url of urls) {
+    // Reuse images downloaded during a previous run
+    const existingPath = progress.getAsset(url);
+    if (existingPath && await assetExists(outputDir, existingPath)) {
+      localPaths[url] = existingPath;
+      continue;
+    }
+
+    if (offline) continue;
+
+    try {
+      await createDirectoryIfNotExists(assetsDir);
+      const filePath = await downloadImage(url, assetsDir, requestSettings, logger);
+      const assetPath = path.relative(outputDir, filePath).split(path.sep).join('/');
+
+      localPaths[url] = assetPath;
+      await progress.markAssetDownloaded(url, assetPath);
+    } catch (error) {
+      logger.error(`Failed to download image ${url}:`, error.message);
+      failed.push(url);
+    }
+  }
+
+  // Point image links to the local files, leaving failed ones remote
+  const rewrittenMarkdown = markdown.replace(IMAGE_LINK_REGEX, (match, caption, url) => {
+    if (!localPaths[url]) return match;
+    return `![${caption}](${encodeMarkdownPath(localPaths[url])})`;
+  });
+
+  if (urls.length > 0 && !offline) {
+    logger.info(`Downloaded ${urls.length - failed.length}/${urls.length} images`);
+  }
+
+  return { markdown: rewrittenMarkdown, assets: localPaths, failed };
+}
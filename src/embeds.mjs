@@ -0,0 +1,88 @@
+// Elements holding embedded players and documents
+export const EMBED_TAGS = new Set(['iframe', 'embed', 'object', 'video', 'audio']);
+
+// Video hostings embedded into posts: the player URL pattern, and the page and thumbnail of a video by its ID
+const VIDEO_PROVIDERS = [
+  {
+    name: 'YouTube',
+    pattern: /(?:youtube(?:-nocookie)?\.com\/(?:embed|v|shorts)\/|youtu\.be\/)([\w-]{11})/,
+    getUrl: id => `https://www.youtube.com/watch?v=${id}`,
+    getThumbnail: id => `https://img.youtube.com/vi/${id}/hqdefault.jpg`
+  },
+  {
+    name: 'VK',
+    pattern: /vk(?:video)?\.(?:com|ru)\/video_ext\.php\?(?=.*\boid=(-?\d+))(?=.*\bid=(\d+))/,
+    getUrl: (ownerId, id) => `https://vk.com/video${ownerId}_${id}`
+  },
+  {
+    name: 'Rutube',
+    pattern: /rutube\.ru\/(?:play\/embed|video)\/([\da-f]{32})/,
+    getUrl: id => `https://rutube.ru/video/${id}/`
+  },
+  {
+    name: 'Vimeo',
+    pattern: /player\.vimeo\.com\/video\/(\d+)/,
+    getUrl: id => `https://vimeo.com/${id}`
+  }
+];
+
+/**
+ * Recognizes a video player embedded with an iframe
+ * @param {string} url - Absolute URL of the player
+ * @returns {{provider: string, url: string, thumbnail: string|null}|null} - Video hosting name, URL of the video page
+ * and of its thumbnail if the hosting has a known one, or null for other URLs
+ */
+export function getVideo(url) {
+  for (const provider of VIDEO_PROVIDERS) {
+    const match = url.match(provider.pattern);
+    if (match) {
+      const ids = match.slice(1);
+      return {
+        provider: provider.name,
+        url: provider.getUrl(...ids),
+        thumbnail: provider.getThumbnail ? provider.getThumbnail(...ids) : null
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the source of an embedded object: iframe, embed, object or video
+ * @param {Object} element - Parsed element
+ * @returns {string} - Source URL as it appears in HTML
+ */
+export function getEmbedSource(element) {
+  return element.getAttribute('src') || element.getAttribute('data-src') || element.getAttribute('data') ||
+    element.querySelector('source')?.getAttribute('src') || '';
+}
+
+/**
+ * Get the BEM block names of an element split into words, e.g. c-post-card becomes ['c', 'post', 'card']
+ *
+ * DRIVE2 cards are recognized by the words of their block names, element classes like c-post-card__body are skipped
+ * so the parts of a card are not taken for cards themselves.
+ * @param {Object} element - Parsed element
+ * @returns {Array<Array<string>>} - Words of every block class
+ */
+export function getBlockNames(element) {
+  return (element.getAttribute('class') || '')
+    .split(/\s+/)
+    .filter(className => className && !className.includes('__'))
+    .map(className => className.toLowerCase().split(/[-_]+/));
+}
+
+/**
+ * Describe an element for warnings, e.g. <x-widget class="c-widget">
+ * @param {Object} element - Parsed element
+ * @returns {string} - Element tag with its class and source
+ */
+export function describeElement(element) {
+  const attributes = ['class', 'src', 'data-src']
+    .filter(name => element.getAttribute(name))
+    .map(name => ` ${name}="${element.getAttribute(name)}"`)
+    .join('');
+
+  return `<${element.rawTagName.toLowerCase()}${attributes}>`;
+}
@@ -0,0 +1,268 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { convertHtmlToMarkdown } from './convertHtmlToMarkdown.mjs';
+import { getPublishedAt } from './extractBlogPost.mjs';
+import { parseCost, parseMileage, parseNumber } from './utils.mjs';
+
+// Supported output formats
+export const OUTPUT_FORMATS = ['markdown', 'json', 'ndjson'];
+
+// Name of the combined NDJSON file in the output directory
+export const NDJSON_FILE_NAME = 'posts.ndjson';
+
+/**
+ * Creates a machine-readable record of a blog post
+ * @param {Object} postData - Blog post data returned by extractBlogPost
+ * @param {Object} [post] - Post from the list returned by collectBlogPosts
+ * @param {Object} [assets] - Local paths of downloaded images, keyed by URL
+ * @returns {Object} - Post record
+ */
+export function createPostRecord(postData, post = {}, assets = {}) {
+  const publishedAt = getPublishedAt(postData, post);
+  const cost = parseCost(postData.metadata.cost || post.price);
+  const mileage = parseMileage(postData.metadata.mileage || post.mileage);
+
+  return {
+    type: 'post',
+    url: postData.url,
+    title: postData.title,
+    date: publishedAt ? publishedAt.slice(0, 10) : null,
+    publishedAt,
+    publicationDate: postData.publicationDate,
+    category: post.category || null,
+    author: postData.author,
+    cost: {
+      text: postData.metadata.cost || post.price || null,
+      value: cost ? cost.amount : null,
+      currency: cost ? cost.currency : null
+    },
+    mileage: {
+      text: postData.metadata.mileage || post.mileage || null,
+      value: mileage ? mileage.value : null,
+      unit: mileage ? mileage.unit : null,
+      km: mileage ? mileage.km : null
+    },
+    likes: parseNumber(post.likes ?? postData.likes),
+    commentsCount: parseNumber(post.comments) ?? (postData.comments || []).length,
+    imageUrl: post.imageUrl || null,
+    contentHtml: postData.contentHtml,
+    contentMarkdown: convertHtmlToMarkdown(postData.contentHtml, postData.baseUrl),
+    images: postData.images.map(image => ({ ...image, localPath: assets[image.src] || null })),
+    comments: (postData.comments || []).map(comment => ({
+      ...comment,
+      textMarkdown: convertHtmlToMarkdown(comment.textHtml, postData.baseUrl)
+    }))
+  };
+}
+
+/**
+ * Creates a machine-readable record of a car review
+ * @param {Object} reviewData - Car review data returned by extractCarReview
+ * @returns {Object} - Review record
+ */
+export function createReviewRecord(reviewData) {
+  return {
+    type: 'review',
+    url: reviewData.url,
+    title: reviewData.title,
+    owner: reviewData.owner,
+    publishedAt: reviewData.publishedAt || null,
+    modifiedAt: reviewData.modifiedAt || null,
+    passport: reviewData.passport || null,
+    gallery: reviewData.gallery || [],
+    stats: reviewData.stats || {},
+    reviewHtml: reviewData.reviewContent,
+    reviewMarkdown: convertHtmlToMarkdown(reviewData.reviewContent, reviewData.baseUrl),
+    passportHtml: reviewData.passportContent,
+    passportMarkdown: convertHtmlToMarkdown(reviewData.passportContent, reviewData.baseUrl)
+  };
+}
+
+/**
+ * Restores blog post data from a post record, so its Markdown can be generated again without fetching the post
+ * @param {Object} record - Record created by createPostRecord
+ * @returns {{postData: Object, post: Object}} - Data in the shape returned by extractBlogPost and collectBlogPosts
+ */
+export function restorePostData(record) {
+  const postData = {
+    title: record.title,
+    publicationDate: record.publicationDate,
+    publishedAt: record.publishedAt || null,
+    author: record.author,
+    contentHtml: record.contentHtml,
+    metadata: {
+      cost: record.cost?.text || '',
+      mileage: record.mileage?.text || ''
+    },
+    images: (record.images || []).map(({ src, caption }) => ({ src, caption })),
+    likes: record.likes,
+    baseUrl: new URL(record.url).origin,
+    url: record.url,
+    comments: (record.comments || []).map(({ textMarkdown, ...comment }) => comment)
+  };
+
+  const post = {
+    title: record.title,
+    link: record.url,
+    date: record.date,
+    category: record.category,
+    imageUrl: record.imageUrl,
+    likes: record.likes,
+    comments: record.commentsCount,
+    mileage: record.mileage?.text,
+    price: record.cost?.text
+  };
+
+  return { postData, post };
+}
+
+/**
+ * Restores car review data from a review record
+ * @param {Object} record - Record created by createReviewRecord
+ * @returns {Object} - Data in the shape returned by extractCarReview
+ */
+export function restoreReviewData(record) {
+  return {
+    title: record.title,
+    reviewContent: record.reviewHtml,
+    passportContent: record.passportHtml,
+    passport: record.passport || null,
+    owner: record.owner,
+    gallery: record.gallery || [],
+    stats: record.stats || {},
+    publishedAt: record.publishedAt || null,
+    modifiedAt: record.modifiedAt || null,
+    baseUrl: new URL(record.url).origin,
+    url: record.url
+  };
+}
+
+// Queued writes of every NDJSON file by its path, so records of posts saved at the same time never overwrite each other
+const ndjsonWrites = new Map();
+
+/**
+ * Replaces a record in NDJSON content, or adds it to the end
+ * @param {string} content - Content of the NDJSON file
+ * @param {Object} record - Record created by createPostRecord or createReviewRecord
+ * @returns {string} - New content of the file
+ */
+function replaceNdjsonRecord(content, record) {
+  const line = JSON.stringify(record);
+  let replaced = false;
+  const lines = [];
+
+  for (const existingLine of content.split('\n').filter(Boolean)) {
+    let url = null;
+    try {
+      ({ url } = JSON.parse(existingLine));
+    } catch (error) {
+      // Keep lines that are not records as they are
+    }
+
+    if (url !== record.url) {
+      lines.push(existingLine);
+    } else if (!replaced) {
+      // Also drops duplicates appended by earlier versions
+      lines.push(line);
+      replaced = true;
+    }
+  }
+
+  if (!replaced) lines.push(line);
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Writes a record to the combined NDJSON file, replacing an earlier record with the same URL
+ *
+ * Records keep their place in the file, so crawling a car again or syncing it does not duplicate them.
+ * @param {string} filePath - Path to the NDJSON file
+ * @param {Object} record - Record created by createPostRecord or createReviewRecord
+ * @returns {Promise<void>}
+ */
+async function writeNdjsonRecord(filePath, record) {
+  const write = async () => {
+    let content = '';
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    await fs.writeFile(filePath, replaceNdjsonRecord(content, record));
+  };
+
+  // Every write reads the file written by the previous one, even if that one failed
+  const key = path.resolve(filePath);
+  const writing = (ndjsonWrites.get(key) || Promise.resolve()).then(write, write);
+  ndjsonWrites.set(key, writing);
+
+  try {
+    await writing;
+  } finally {
+    if (ndjsonWrites.get(key) === writing) ndjsonWrites.delete(key);
+  }
+}
+
+/**
+ * Saves a post or review in every requested format
+ * @param {Object} options - Save options
+ * @param {string} options.outputDir - Output directory
+ * @param {string} options.baseName - File name without extension
+ * @param {string} options.markdown - Markdown content
+ * @param {Object} options.record - Record created by createPostRecord or createReviewRecord
+ * @param {Array<string>} options.formats - Output formats
+ * @returns {Promise<string|null>} - Name of the main file written, null if only NDJSON was written
+ */
+export async function saveOutputs({ outputDir, baseName, markdown, record, formats }) {
+  const fileNames = [];
+
+  if (formats.includes('markdown')) {
+    await fs.writeFile(path.join(outputDir, `${baseName}.md`), markdown);
+    fileNames.push(`${baseName}.md`);
+  }
+
+  if (formats.includes('json')) {
+    await fs.writeFile(path.join(outputDir, `${baseName}.json`), `${JSON.stringify(record, null, 2)}\n`);
+    fileNames.push(`${baseName}.json`);
+  }
+
+  if (formats.includes('ndjson')) {
+    // One line per record, so the combined file can be streamed
+    await writeNdjsonRecord(path.join(outputDir, NDJSON_FILE_NAME), record);
+  }
+
+  return fileNames[0] || null;
+}
+
+/**
+ * Moves all files of a post into another directory, keeping their names
+ * @param {string} outputDir - Output directory
+ * @param {string} baseName - File name without extension
+ * @param {string} targetDir - Directory to move the files into, relative to the output directory
+ * @returns {Promise<Array<string>>} - Paths of moved files, relative to the output directory
+ */
+export async function moveOutputs(outputDir, baseName, targetDir) {
+  const candidates = [`${baseName}.md`, `${baseName}.json`, path.join('assets', baseName)];
+  const moved = [];
+
+  for (const candidate of candidates) {
+    const sourcePath = path.join(outputDir, candidate);
+    const targetPath = path.join(outputDir, targetDir, candidate);
+
+    try {
+      await fs.access(sourcePath);
+    } catch (error) {
+      // Not every format is written for every post
+      continue;
+    }
+
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.rename(sourcePath, targetPath);
+    moved.push(candidate);
+  }
+
+  return moved;
+}
@@ -1,14 +1,76 @@
-import puppeteer from 'puppeteer';
+import { createHash } from 'crypto';
 
-import { getBrowserConfig, getPageConfig, navigateWithRetry, convertHtmlToMarkdown } from './utils.mjs';
+import { convertHtmlToMarkdown } from './convertHtmlToMarkdown.mjs';
+import { extractComments, generateCommentsMarkdown } from './extractComments.mjs';
+import { generateFrontMatter } from './frontMatter.mjs';
+import { parseDate } from './parseDate.mjs';
+import { parseNumber } from './utils.mjs';
 
 /**
- * Generate markdown for blog post
+ * Generate front matter for blog post
  * @param {Object} postData - Blog post data
+ * @param {Object} post - Post from the list returned by collectBlogPosts
+ * @returns {string} - YAML front matter
+ */
+function generatePostFrontMatter(postData, post) {
+  const publishedAt = getPublishedAt(postData, post);
+  const { url: authorPath } = postData.author;
+  const authorUrl = authorPath.startsWith('/') ? `${postData.baseUrl}${authorPath}` : authorPath;
+
+  return generateFrontMatter({
+    title: postData.title,
+    source: postData.url,
+    date: publishedAt ? publishedAt.slice(0, 10) : null,
+    author: postData.author.name,
+    authorUrl,
+    category: post.category,
+    mileage: parseNumber(postData.metadata.mileage || post.mileage),
+    cost: parseNumber(postData.metadata.cost || post.price),
+    likes: parseNumber(post.likes ?? postData.likes),
+    comments: parseNumber(post.comments) ?? postData.comments?.length
+  });
+}
+
+/**
+ * Get the publication time of a blog post
+ * @param {Object} postData - Blog post data returned by extractBlogPost
+ * @param {Object} [post] - Post from the list returned by collectBlogPosts
+ * @returns {string|null} - Timestamp with the time zone offset, see parseDate
+ */
+export function getPublishedAt(postData, post = {}) {
+  // The machine-readable date of the post page is the most precise one, older records only have the texts
+  return postData.publishedAt || post.publishedAt || parseDate(post.date) || parseDate(postData.publicationDate);
+}
+
+/**
+ * Get a hash of the post content, used to detect posts edited after they were saved
+ * @param {Object} postData - Blog post data returned by extractBlogPost
+ * @returns {string} - SHA-256 hash in hex
+ */
+export function getContentHash(postData) {
+  // Comments and likes change all the time, so only the post itself is hashed
+  const content = JSON.stringify([
+    postData.title,
+    postData.contentHtml,
+    postData.metadata.cost,
+    postData.metadata.mileage
+  ]);
+
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Generate markdown for blog post
+ * @param {Object} postData - Blog post data returned by extractBlogPost
+ * @param {Object} [post] - Post from the list returned by collectBlogPosts, adds its metadata to the front matter
+ * @param {Object} [options] - Generation options
+ * @param {Array<string>} [options.warnings] - Array to add warnings about unrecognised elements of the content to
  * @returns {string} - Markdown content
  */
-function generateMarkdown(postData) {
-  let markdown = `# ${postData.title}\n\n`;
+export function generateMarkdown(postData, post = {}, options = {}) {
+  let markdown = generatePostFrontMatter(postData, post);
+
+  markdown += `# ${postData.title}\n\n`;
 
   // Add publication date
   if (postData.publicationDate) {
@@ -58,7 +120,13 @@ function generateMarkdown(postData) {
 
   // Add main content
   markdown += `## Content\n\n`;
-  markdown += convertHtmlToMarkdown(postData.contentHtml, postData.baseUrl);
+  markdown += convertHtmlToMarkdown(postData.contentHtml, postData.baseUrl, { warnings: options.warnings });
+
+  // Add comments
+  const commentsMarkdown = generateCommentsMarkdown(postData.comments, postData.baseUrl);
+  if (commentsMarkdown) {
+    markdown += `\n\n${commentsMarkdown}`;
+  }
 
   return markdown;
 }
@@ -66,36 +134,31 @@ function generateMarkdown(postData) {
 /**
  * Extracts content from a blog post
  * @param {string} url - URL of the blog post
- * @returns {Promise<string>} - Markdown content of the blog post
+ * @param {Object} session - BrowserSession to take a page from
+ * @param {Object} [options] - Extraction options
+ * @param {boolean} [options.comments] - Set to false to skip comments
+ * @returns {Promise<Object>} - Blog post data, see generateMarkdown to convert it to Markdown
  */
-export async function extractBlogPost(url) {
-  // Launch the browser
-  const browser = await puppeteer.launch(getBrowserConfig());
-
-  try {
-    // Open a new page
-    const page = await browser.newPage();
-
-    // Set a longer timeout for navigation
-    page.setDefaultNavigationTimeout(getPageConfig().timeout);
-
-    // Add headers to make requests more browser-like
-    await page.setExtraHTTPHeaders(getPageConfig().headers);
-
+export async function extractBlogPost(url, session, options = {}) {
+  return session.withPage(async page => {
     // Parse the base URL for constructing absolute URLs
     const baseUrl = url.startsWith('http') ? new URL(url).origin : 'https://www.drive2.ru';
 
-    // Navigate to the URL with retry logic
-    await navigateWithRetry(page, url);
+    // Navigate to the URL with retry logic, or load it from fixtures
+    await session.loadPage(page, url);
 
     // Extract the data we need
     const postData = await page.evaluate((baseUrlForPage) => {
       // Get the post title
       const title = document.querySelector('h1.x-title')?.textContent.trim() || 'Unknown Title';
 
-      // Get publication date
+      // Get publication date, both as shown and machine-readable
       const dateElement = document.querySelector('.x-tertiary.x-secondary-color');
       const publicationDate = dateElement ? dateElement.textContent.trim() : '';
+      const dateTimeElement = document.querySelector('[itemprop="datePublished"], time[datetime]');
+      const dateTime = dateTimeElement
+        ? dateTimeElement.getAttribute('content') || dateTimeElement.getAttribute('datetime') || ''
+        : '';
 
       // Get author information
       const authorElement = document.querySelector('.c-user-lcard');
@@ -121,6 +184,9 @@ export async function extractBlogPost(url) {
       const mileageElement = document.querySelector('.c-post__mileage');
       const mileage = mileageElement ? mileageElement.textContent.trim() : '';
 
+      // Get number of likes
+      const likes = document.querySelector('like-button[kind="cjr"]')?.getAttribute('count') || '0';
+
       // Get image information
       const imageElements = document.querySelectorAll('.c-post__pic');
       const images = Array.from(imageElements).map(imgElement => {
@@ -136,6 +202,7 @@ export async function extractBlogPost(url) {
       return {
         title,
         publicationDate,
+        dateTime,
         author: {
           name: authorName,
           url: authorUrl,
@@ -148,16 +215,20 @@ export async function extractBlogPost(url) {
           mileage
         },
         images,
+        likes,
         baseUrl: baseUrlForPage
       };
     }, baseUrl);
 
-    // Convert to Markdown format
-    const markdown = generateMarkdown(postData);
+    postData.url = url;
 
-    return markdown;
-  } finally {
-    // Make sure to close the browser
-    await browser.close();
-  }
+    // Keep the full publication time, falling back to the date as shown
+    postData.publishedAt = parseDate(postData.dateTime) || parseDate(postData.publicationDate);
+    delete postData.dateTime;
+
+    // Extract comments, which may load more pages into the same tab
+    postData.comments = options.comments === false ? [] : await extractComments(page, session);
+
+    return postData;
+  });
 }
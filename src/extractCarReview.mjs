@@ -1,31 +1,200 @@
-import puppeteer from 'puppeteer';
+import { convertHtmlToMarkdown } from './convertHtmlToMarkdown.mjs';
+import { generateFrontMatter } from './frontMatter.mjs';
+import { parseDate } from './parseDate.mjs';
 
-import { getBrowserConfig, getPageConfig, navigateWithRetry, convertHtmlToMarkdown } from './utils.mjs';
+// Labels of the passport fields in Home.md, in the order of the table
+const PASSPORT_LABELS = [
+  ['make', 'Марка'],
+  ['model', 'Модель'],
+  ['generation', 'Поколение'],
+  ['bodyType', 'Кузов'],
+  ['year', 'Год выпуска'],
+  ['engine', 'Двигатель'],
+  ['transmission', 'Коробка передач'],
+  ['drivetrain', 'Привод'],
+  ['purchaseYear', 'Год покупки'],
+  ['owningTime', 'Во владении']
+];
 
 /**
- * Extracts car review from DRIVE2 car page
- * @param {string} url - URL of the car page
- * @returns {Promise<string>} - Markdown content of the car review
+ * Escape a value for a Markdown table cell
+ * @param {*} text - Cell value
+ * @returns {string} - Escaped text
+ */
+function escapeCell(text) {
+  return String(text ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Make a DRIVE2 link absolute
+ * @param {string} url - Link as it appears on the page
+ * @param {string} baseUrl - Base URL of the site
+ * @returns {string} - Absolute URL
+ */
+function toAbsoluteUrl(url, baseUrl) {
+  return url && url.startsWith('/') ? `${baseUrl}${url}` : url;
+}
+
+/**
+ * Parse a number of a passport field
+ * @param {string} value - Text like "2.0", "105" or "2011"
+ * @returns {number|null}
+ */
+function parsePassportNumber(value) {
+  const number = parseFloat(String(value ?? '').replace(',', '.'));
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Create structured passport fields from the schema.org properties of the car, falling back to the texts of the
+ * passport list, e.g. "Двигатель 2.0 бензиновый, 105 л. с." or "Машина 1985 года выпуска, была куплена в 2011 году"
+ * @param {Object} properties - Values of itemprop attributes of the car and its review
+ * @param {Array<{text: string, linkText: string, linkUrl: string}>} items - Items of the passport list
+ * @returns {Object} - Passport fields, null when unknown
+ */
+function createPassport(properties, items) {
+  const texts = items.map(item => item.text);
+  const find = pattern => texts.map(text => text.match(pattern)).find(Boolean) || [];
+
+  const engineMatch = find(/Двигатель\s+([\d.,]+)?\s*([а-яё-]+)?(?:,\s*(\d+)\s*л\.\s*с\.)?/i);
+  const generationItem = items.find(item => item.linkUrl && /выпускается/.test(item.text));
+
+  return {
+    make: properties.brand || null,
+    model: properties.model || null,
+    generation: generationItem?.linkText || null,
+    generationUrl: generationItem?.linkUrl || properties.reviewsUrl || null,
+    bodyType: properties.bodyType || find(/^Кузов\s+(.+)$/i)[1]?.toLowerCase() || null,
+    year: parsePassportNumber(properties.prodyear || find(/(\d{4}) года выпуска/)[1]),
+    productionStart: parsePassportNumber(properties.vehicleModelDate || find(/выпускается с (\d{4})/)[1]),
+    purchaseYear: parsePassportNumber(properties.datePurchased || find(/куплена в (\d{4})/)[1]),
+    owningTime: properties.owningTime || null,
+    engineVolume: parsePassportNumber(properties.displacement || engineMatch[1]),
+    engineType: properties.engineType || engineMatch[2] || null,
+    power: parsePassportNumber(properties.horsePower || engineMatch[3]),
+    transmission: properties.transmission || texts.find(text => /коробка передач|вариатор|робот/i.test(text)) || null,
+    drivetrain: properties.gearType || find(/^(\S+)\s+привод/i)[1]?.toLowerCase() || null
+  };
+}
+
+/**
+ * Generate the passport table
+ * @param {Object} passport - Passport fields created by createPassport
+ * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @returns {string} - Markdown table, or nothing if no field is known
+ */
+function generatePassportTable(passport, baseUrl) {
+  const engine = [
+    passport.engineVolume !== null ? `${passport.engineVolume.toFixed(1)} л` : null,
+    passport.engineType,
+    passport.power !== null ? `${passport.power} л. с.` : null
+  ].filter(Boolean).join(', ');
+
+  const values = {
+    ...passport,
+    generation: passport.generation && passport.generationUrl
+      ? `[${escapeCell(passport.generation)}](${toAbsoluteUrl(passport.generationUrl, baseUrl)})`
+      : escapeCell(passport.generation),
+    engine
+  };
+
+  const rows = PASSPORT_LABELS
+    .filter(([key]) => values[key] !== null && values[key] !== undefined && values[key] !== '')
+    .map(([key, label]) => `| ${label} | ${key === 'generation' ? values[key] : escapeCell(values[key])} |`);
+
+  return rows.length > 0 ? ['| Параметр | Значение |', '| --- | --- |', ...rows].join('\n') : '';
+}
+
+/**
+ * Generate the owner section
+ * @param {Object} owner - Owner returned by extractCarReview
+ * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @returns {string} - Markdown content
+ */
+function generateOwnerMarkdown(owner, baseUrl) {
+  const lines = [];
+
+  if (owner.realName) {
+    lines.push(`- Имя: ${owner.realName}`);
+  }
+
+  if (owner.location) {
+    lines.push(`- Город: ${owner.location}`);
+  }
+
+  if (owner.cars && owner.cars.length > 0) {
+    lines.push(`- Машины: ${owner.cars.map(car => `[${car.name}](${toAbsoluteUrl(car.url, baseUrl)})`).join(', ')}`);
+  }
+
+  const name = owner.url ? `[${owner.name}](${toAbsoluteUrl(owner.url, baseUrl)})` : owner.name;
+  return `**${name}**\n\n${lines.join('\n')}`.trim();
+}
+
+/**
+ * Generate markdown for car review
+ * @param {Object} reviewData - Car review data returned by extractCarReview
+ * @returns {string} - Markdown content
  */
-export async function extractCarReview(url) {
-  // Launch the browser
-  const browser = await puppeteer.launch(getBrowserConfig());
+export function generateReviewMarkdown(reviewData) {
+  const { baseUrl, passport, stats = {} } = reviewData;
+  const ownerUrl = toAbsoluteUrl(reviewData.owner.url, baseUrl);
+
+  let markdown = generateFrontMatter({
+    title: reviewData.title,
+    source: reviewData.url,
+    author: reviewData.owner.name,
+    authorUrl: ownerUrl,
+    make: passport?.make,
+    model: passport?.model,
+    year: passport?.year,
+    posts: stats.postsCount,
+    likes: stats.likesCount,
+    date: reviewData.publishedAt?.slice(0, 10),
+    updated: reviewData.modifiedAt?.slice(0, 10)
+  });
 
-  try {
-    // Open a new page
-    const page = await browser.newPage();
+  markdown += `# ${reviewData.title}\n\n`;
 
-    // Set a longer timeout for navigation
-    page.setDefaultNavigationTimeout(getPageConfig().timeout);
+  if (reviewData.reviewContent) {
+    markdown += `## Отзыв владельца\n\n${convertHtmlToMarkdown(reviewData.reviewContent, baseUrl)}\n\n`;
+  } else {
+    markdown += `## Отзыв владельца\n\nНе удалось найти отзыв владельца.\n\n`;
+  }
+
+  // Reviews saved before the passport was structured only have its HTML
+  const passportTable = passport ? generatePassportTable(passport, baseUrl) : '';
+  if (passportTable) {
+    markdown += `## Паспортные данные\n\n${passportTable}\n\n`;
+  } else if (reviewData.passportContent) {
+    markdown += `## Паспортные данные\n\n${convertHtmlToMarkdown(reviewData.passportContent, baseUrl)}\n\n`;
+  }
+
+  if (reviewData.owner.name) {
+    markdown += `## Владелец\n\n${generateOwnerMarkdown(reviewData.owner, baseUrl)}\n\n`;
+  }
+
+  const gallery = reviewData.gallery || [];
+  if (gallery.length > 0) {
+    const images = gallery.map(image => `![${image.caption || reviewData.title}](${image.src})`);
+    markdown += `## Фотографии\n\n${images.join('\n\n')}\n\n`;
+  }
 
-    // Add headers to make requests more browser-like
-    await page.setExtraHTTPHeaders(getPageConfig().headers);
+  return markdown.trimEnd();
+}
 
+/**
+ * Extracts car review from DRIVE2 car page
+ * @param {string} url - URL of the car page
+ * @param {Object} session - BrowserSession to take a page from
+ * @returns {Promise<Object>} - Car review data, see generateReviewMarkdown to convert it to Markdown
+ */
+export async function extractCarReview(url, session) {
+  return session.withPage(async page => {
     // Parse the base URL for constructing absolute URLs later
     const baseUrl = new URL(url).origin;
 
-    // Navigate to the URL with retry logic
-    await navigateWithRetry(page, url);
+    // Navigate to the URL with retry logic, or load it from fixtures
+    await session.loadPage(page, url);
 
     // Extract the data we need
     const reviewData = await page.evaluate((baseUrlForPage) => {
@@ -43,29 +212,97 @@ export async function extractCarReview(url) {
       if (passportHeader) {
         const passportList = passportHeader.nextElementSibling;
         if (passportList && passportList.classList.contains('list-compact')) {
-          passportContent = passportList.innerHTML;
+          passportContent = passportList.outerHTML;
         }
       }
 
-      return { title, reviewContent, passportContent, baseUrl: baseUrlForPage };
-    }, baseUrl);
+      // Get car owner
+      const ownerElement = document.querySelector('.c-user-lcard');
+      const ownerInfo = ownerElement?.querySelector('.c-user-lcard__info');
+
+      // The real name is the text before the first line break of the owner info
+      const realName = [];
+      for (const node of ownerInfo?.childNodes || []) {
+        if (node.nodeName === 'BR') break;
+        if (node.nodeType === Node.TEXT_NODE) realName.push(node.textContent);
+      }
 
-    // Convert to Markdown format
-    let markdown = `# ${reviewData.title}\n\n`;
+      const owner = {
+        name: ownerElement?.querySelector('span[itemprop="name"]')?.textContent.trim() || '',
+        url: ownerElement?.querySelector('a[itemprop="url"]')?.getAttribute('href') || '',
+        realName: realName.join(' ').replace(/\s+/g, ' ').trim(),
+        location: ownerElement?.querySelector('[itemprop="address"]')?.textContent.trim() || '',
+        avatar: ownerElement?.querySelector('.c-user-lcard__pic img')?.getAttribute('src') || '',
+        cars: Array.from(ownerElement?.querySelectorAll('.c-user-lcard__cars a') || []).map(link => ({
+          name: link.textContent.trim(),
+          url: link.getAttribute('href')
+        }))
+      };
 
-    if (reviewData.reviewContent) {
-      markdown += `## Отзыв владельца\n\n${convertHtmlToMarkdown(reviewData.reviewContent, reviewData.baseUrl)}\n\n`;
-    } else {
-      markdown += `## Отзыв владельца\n\nНе удалось найти отзыв владельца.\n\n`;
-    }
+      // Machine-readable properties of the car and its review, e.g. brand, prodyear, horsePower and owningTime
+      const properties = {};
+      const review = document.querySelector('[itemtype="https://schema.org/Review"]');
+      const car = review?.querySelector('[itemprop="itemReviewed"]');
+      [review, car].filter(Boolean).forEach(scope => {
+        scope.querySelectorAll('meta[itemprop], link[itemprop], a[itemprop]').forEach(element => {
+          // Skip properties of nested items, e.g. the name of the author
+          if (element.parentElement.closest('[itemscope]') !== scope) return;
+          properties[element.getAttribute('itemprop')] =
+            (element.getAttribute('content') ?? element.getAttribute('href') ?? '').trim();
+        });
+      });
 
-    if (reviewData.passportContent) {
-      markdown += `## Паспортные данные\n\n${convertHtmlToMarkdown(reviewData.passportContent, reviewData.baseUrl)}`;
-    }
+      // Items of the passport list, with the generation link if any
+      const passportItems = passportHeader && passportContent
+        ? Array.from(passportHeader.nextElementSibling.querySelectorAll('li')).map(item => ({
+          text: item.textContent.replace(/\s+/g, ' ').trim(),
+          linkText: item.querySelector('a')?.textContent.trim() || '',
+          linkUrl: item.querySelector('a')?.getAttribute('href') || ''
+        }))
+        : [];
 
-    return markdown;
-  } finally {
-    // Make sure to close the browser
-    await browser.close();
-  }
+      // Car photos, linked to their full size versions
+      const gallery = Array.from(document.querySelectorAll('.c-gallery .c-lightbox-anchor')).map(anchor => {
+        const image = anchor.querySelector('img');
+        return {
+          src: anchor.getAttribute('href'),
+          thumbnail: image?.getAttribute('src') || '',
+          caption: image?.getAttribute('alt') || anchor.querySelector('x-img')?.getAttribute('title') || ''
+        };
+      }).filter(image => image.src);
+
+      // Number of logbook posts shown next to the logbook header
+      const postsCounter = document.querySelector('.x-header a[href$="/logbook/"] + .c-counter');
+      const postsCount = postsCounter ? parseInt(postsCounter.textContent.replace(/\D/g, ''), 10) : null;
+
+      // Number of likes of the car, the same button as the ones of posts and comments
+      const likesCount = parseInt(document.querySelector('like-button[kind="car"]')?.getAttribute('count'), 10);
+
+      return {
+        title,
+        reviewContent,
+        passportContent,
+        passportItems,
+        properties,
+        owner,
+        gallery,
+        stats: {
+          postsCount: Number.isNaN(postsCount) ? null : postsCount,
+          likesCount: Number.isNaN(likesCount) ? null : likesCount
+        },
+        baseUrl: baseUrlForPage
+      };
+    }, baseUrl);
+
+    const { passportItems, properties, ...data } = reviewData;
+    Object.assign(data, {
+      passport: createPassport(properties, passportItems),
+      publishedAt: parseDate(properties.datePublished),
+      modifiedAt: parseDate(properties.dateModified)
+    });
+
+    data.url = url;
+
+    return data;
+  });
 }
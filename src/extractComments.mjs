@@ -0,0 +1,209 @@
+import { convertHtmlToMarkdown } from './convertHtmlToMarkdown.mjs';
+import { defaultLogger } from './logger.mjs';
+
+// Maximum number of "show more" clicks, so a broken button never loops forever
+const MAX_EXPAND_CLICKS = 50;
+
+/**
+ * Expand collapsed comments and load more of them, if the page offers it
+ * @param {Object} page - Puppeteer page object
+ * @param {Object} [logger] - Logger created by createLogger
+ * @returns {Promise<void>}
+ */
+async function expandComments(page, logger = defaultLogger) {
+  const moreButtonSelector = [
+    '.c-comments [data-action^="comments.more"]',
+    '.c-comments [data-action^="comment.expand"]',
+    '.c-comments button.c-comments__more'
+  ].join(', ');
+
+  for (let clicks = 0; clicks < MAX_EXPAND_CLICKS; clicks++) {
+    const button = await page.$(moreButtonSelector);
+    if (!button) return;
+
+    try {
+      await button.click();
+      // Give the page some time to render the loaded comments
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    } catch (error) {
+      logger.warn('Error expanding comments:', error.message);
+      return;
+    }
+  }
+}
+
+/**
+ * Extract comments from the current page
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<Object>} - Comments, links to other pages of comments and the number of comments the post has
+ */
+async function extractCommentsFromPage(page) {
+  return page.evaluate(() => {
+    const comments = [];
+    let threadId = null;
+
+    // Replies follow the comment they belong to, so they are linked to the last top level comment
+    document.querySelectorAll('.c-comments .c-comment').forEach(element => {
+      const id = (element.getAttribute('id') || '').replace(/^a/, '');
+      const isReply = element.classList.contains('c-comment--reply');
+
+      if (!isReply) {
+        threadId = id;
+      }
+
+      const authorElement = element.querySelector('.c-comment__userinfo a[itemprop="url"]');
+      const dateElement = element.querySelector('.c-comment__footer [itemprop="datePublished"]');
+      const textElement = element.querySelector('.c-comment__text [data-slot="comment.text"]') ||
+        element.querySelector('.c-comment__text');
+      const likeElement = element.querySelector('.c-comment__footer like-button');
+
+      comments.push({
+        id,
+        replyTo: isReply ? threadId : null,
+        author: {
+          name: authorElement?.querySelector('[itemprop="name"]')?.textContent.trim() || 'Unknown Author',
+          url: authorElement?.getAttribute('href') || ''
+        },
+        date: dateElement?.getAttribute('content') || dateElement?.getAttribute('data-tt') || '',
+        textHtml: textElement?.innerHTML.trim() || '',
+        likes: parseInt(likeElement?.getAttribute('count') || '0', 10) || 0
+      });
+    });
+
+    // Links to other pages of comments, if comments are paginated
+    const pageLinkSelector = '.c-comments a.c-page-link, a.c-page-link[href*="#comments"]';
+    const pageLinks = Array.from(document.querySelectorAll(pageLinkSelector))
+      .map(link => link.href)
+      .filter(Boolean);
+
+    // Link to the full list of comments, when the post page shows only some of them
+    const allCommentsUrl = document.querySelector('a.c-block__more[href*="#comments"]')?.href || null;
+
+    // Number of comments in the header of the comments, or next to the likes of the post
+    const counter = document.querySelector('#commentstitle .c-counter, .js-commentscounter');
+    const totalCount = counter ? parseInt(counter.textContent.replace(/\D/g, ''), 10) : NaN;
+
+    return { comments, pageLinks, allCommentsUrl, totalCount: Number.isNaN(totalCount) ? null : totalCount };
+  });
+}
+
+/**
+ * Extracts all comments of a blog post, loading paginated and collapsed comments
+ * @param {Object} page - Puppeteer page object with the blog post loaded
+ * @param {Object} session - BrowserSession used to load other pages of comments
+ * @returns {Promise<Array>} - Comments in the order they appear on the site
+ */
+export async function extractComments(page, session) {
+  // Collapsed comments need scripts, which do not run for saved pages
+  if (!session.fixtures) {
+    await expandComments(page, session.logger);
+    await session.archivePage(page);
+  }
+
+  let result = await extractCommentsFromPage(page);
+
+  // Switch to the page listing all comments if the post shows only the latest ones, or if their number is unknown
+  const hasHiddenComments = result.totalCount === null || result.totalCount > result.comments.length;
+  if (result.allCommentsUrl && hasHiddenComments) {
+    try {
+      await session.loadPage(page, result.allCommentsUrl);
+      if (!session.fixtures) {
+        await expandComments(page, session.logger);
+        await session.archivePage(page);
+      }
+      result = await extractCommentsFromPage(page);
+    } catch (error) {
+      session.logger.warn('Failed to load all comments, keeping the ones shown on the post page:', error.message);
+    }
+  }
+
+  const comments = new Map();
+  const visitedPages = new Set();
+  const pendingPages = [...result.pageLinks];
+
+  result.comments.forEach(comment => comments.set(comment.id, comment));
+
+  // Walk through other pages of comments
+  while (pendingPages.length > 0) {
+    const pageUrl = pendingPages.shift();
+    if (visitedPages.has(pageUrl)) continue;
+    visitedPages.add(pageUrl);
+
+    try {
+      await session.loadPage(page, pageUrl);
+      const pageResult = await extractCommentsFromPage(page);
+
+      pageResult.comments.forEach(comment => {
+        if (!comments.has(comment.id)) {
+          comments.set(comment.id, comment);
+        }
+      });
+      pendingPages.push(...pageResult.pageLinks.filter(link => !visitedPages.has(link)));
+    } catch (error) {
+      session.logger.warn(`Failed to load comments page ${pageUrl}, skipping:`, error.message);
+    }
+  }
+
+  return Array.from(comments.values());
+}
+
+/**
+ * Format a comment date for display
+ * @param {string} date - Comment date, ISO format when available
+ * @returns {string} - Date as "YYYY-MM-DD HH:MM" or the original string
+ */
+function formatCommentDate(date) {
+  const isoMatch = date.match(/^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})/);
+  return isoMatch ? `${isoMatch[1]} ${isoMatch[2]}` : date.replace(/\u00a0/g, ' ');
+}
+
+/**
+ * Generate markdown for a single comment
+ * @param {Object} comment - Comment data
+ * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @returns {string} - Markdown content
+ */
+function generateCommentMarkdown(comment, baseUrl) {
+  const authorUrl = comment.author.url.startsWith('/') ? `${baseUrl}${comment.author.url}` : comment.author.url;
+  const author = authorUrl ? `[${comment.author.name}](${authorUrl})` : comment.author.name;
+
+  let header = `**${author}**`;
+  if (comment.date) {
+    header += ` · ${formatCommentDate(comment.date)}`;
+  }
+  if (comment.likes > 0) {
+    header += ` · Likes: ${comment.likes}`;
+  }
+
+  return `${header}\n\n${convertHtmlToMarkdown(comment.textHtml, baseUrl)}`;
+}
+
+/**
+ * Generate the "Comments" section of a blog post
+ * @param {Array} comments - Comments returned by extractComments
+ * @param {string} baseUrl - Base URL for resolving relative URLs
+ * @returns {string} - Markdown content, empty if there are no comments
+ */
+export function generateCommentsMarkdown(comments, baseUrl) {
+  if (!comments || comments.length === 0) return '';
+
+  let markdown = `## Comments\n\n`;
+
+  comments.forEach((comment, index) => {
+    const commentMarkdown = generateCommentMarkdown(comment, baseUrl);
+
+    if (comment.replyTo) {
+      // Show replies quoted under the comment they answer
+      markdown += commentMarkdown
+        .split('\n')
+        .map(line => (line ? `> ${line}` : '>'))
+        .join('\n');
+      markdown += `\n\n`;
+    } else {
+      // Separate threads with a horizontal rule
+      markdown += index > 0 ? `---\n\n${commentMarkdown}\n\n` : `${commentMarkdown}\n\n`;
+    }
+  });
+
+  return markdown.trim();
+}
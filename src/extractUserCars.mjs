@@ -0,0 +1,82 @@
+import { generateFrontMatter } from './frontMatter.mjs';
+import { encodeMarkdownPath } from './utils.mjs';
+
+// User profile URLs, e.g. https://www.drive2.ru/users/loginov-rocks/
+const USER_PROFILE_PATTERN = /^https?:\/\/(www\.)?drive2\.(ru|com)\/users\/([^/?#]+)\/?(?:[?#].*)?$/i;
+
+/**
+ * Check if a URL points to a DRIVE2 user profile rather than a car page
+ * @param {string} url - URL passed as input
+ * @returns {boolean}
+ */
+export function isUserProfileUrl(url) {
+  return USER_PROFILE_PATTERN.test(url || '');
+}
+
+/**
+ * Extracts the list of cars from a user profile, both current and former ones
+ * @param {string} url - URL of the user profile
+ * @param {Object} session - BrowserSession to take a page from
+ * @returns {Promise<Object>} - User name, profile URL and cars with their title and URL
+ */
+export async function extractUserCars(url, session) {
+  return session.withPage(async page => {
+    // Parse the base URL for constructing absolute URLs
+    const baseUrl = new URL(url).origin;
+
+    // Navigate to the URL with retry logic, or load it from fixtures
+    await session.loadPage(page, url);
+
+    const profile = await page.evaluate((baseUrlForPage) => {
+      const name = document.querySelector('h1')?.textContent.trim() || '';
+
+      // Car cards link to car pages like /r/toyota/chaser/288230376151952785/
+      const carLinks = document.querySelectorAll('a.c-car-title[href^="/r/"], a[data-ihc-token^="c/"][href^="/r/"]');
+      const cars = [];
+      const seen = new Set();
+
+      carLinks.forEach(link => {
+        const href = link.getAttribute('href');
+        if (!/^\/r\/[^/]+\/[^/]+\/\d+\/?$/.test(href) || seen.has(href)) return;
+        seen.add(href);
+
+        cars.push({
+          title: link.textContent.replace(/\s+/g, ' ').trim(),
+          url: `${baseUrlForPage}${href}`
+        });
+      });
+
+      return { name, cars };
+    }, baseUrl);
+
+    return {
+      // Fall back to the user name from the URL
+      name: profile.name || url.match(USER_PROFILE_PATTERN)[3],
+      url,
+      cars: profile.cars
+    };
+  });
+}
+
+/**
+ * Generate markdown summary of all cars of a user profile
+ * @param {Object} profile - Profile data returned by extractUserCars
+ * @param {Array} cars - Progress entries of the cars with their dirName and post counts
+ * @returns {string} - Markdown content
+ */
+export function generateGarageMarkdown(profile, cars) {
+  let markdown = generateFrontMatter({ title: profile.name, source: profile.url, cars: cars.length });
+
+  markdown += `# ${profile.name}\n\n`;
+  markdown += `| Car | Posts | Status |\n`;
+  markdown += `| --- | ---: | --- |\n`;
+
+  cars.forEach(car => {
+    const title = car.title.replace(/\|/g, '\\|');
+    const status = car.complete ? 'Complete' : 'Incomplete';
+    const homePath = encodeMarkdownPath(`${car.dirName}/Home.md`);
+    markdown += `| [${title}](${homePath}) | ${car.postsCount ?? ''} | ${status} |\n`;
+  });
+
+  return markdown;
+}
@@ -0,0 +1,137 @@
+import { createSafeFilename, formatDate } from './utils.mjs';
+
+// Default template, matches file names of earlier versions
+export const DEFAULT_FILENAME_TEMPLATE = '{date} - {title}';
+
+// Names used by the crawler itself, never given to posts
+const RESERVED_NAMES = ['home', 'index', 'ledger', 'garage'];
+
+// Minimum length a title is shortened to when the name is too long
+const MIN_TITLE_LENGTH = 10;
+
+// Russian to Latin transliteration
+const TRANSLITERATION = {
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh', 'з': 'z', 'и': 'i',
+  'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't',
+  'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '',
+  'э': 'e', 'ю': 'yu', 'я': 'ya'
+};
+
+/**
+ * Parses the DRIVE2 post ID from a post link
+ * @param {string} link - Post URL, e.g. https://www.drive2.ru/l/2790417/
+ * @returns {string|null} - Post ID or null if the link has none
+ */
+export function getPostId(link) {
+  const match = (link || '').match(/\/l\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Transliterates Cyrillic characters to Latin ones
+ * @param {string} text - Text to transliterate
+ * @returns {string} - Transliterated text
+ */
+export function transliterate(text) {
+  return text.replace(/[а-яё]/gi, char => {
+    const latin = TRANSLITERATION[char.toLowerCase()];
+    // Keep the case of the first letter
+    return char === char.toLowerCase() ? latin : latin.charAt(0).toUpperCase() + latin.slice(1);
+  });
+}
+
+/**
+ * Creates a URL-friendly slug from a title
+ * @param {string} title - Original title
+ * @returns {string} - Lowercase words joined with hyphens
+ */
+export function createSlug(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Class to generate unique file names for posts from a template
+ *
+ * Supported placeholders: {date}, {id}, {title}, {slug} and {category}
+ */
+export class FilenameGenerator {
+  /**
+   * Create a file name generator
+   * @param {Object} options - File name options
+   * @param {string} [options.template] - File name template without extension
+   * @param {boolean} [options.transliterate] - Transliterate Cyrillic characters to Latin ones
+   * @param {number} [options.maxLength] - Maximum file name length without extension
+   */
+  constructor(options = {}) {
+    this.template = options.template || DEFAULT_FILENAME_TEMPLATE;
+    this.transliterate = Boolean(options.transliterate);
+    this.maxLength = options.maxLength || 120;
+    this.usedNames = new Set(RESERVED_NAMES);
+  }
+
+  /**
+   * Mark a name as taken, e.g. by a post saved during a previous run
+   * @param {string} name - File name without extension
+   */
+  reserve(name) {
+    this.usedNames.add(name.toLowerCase());
+  }
+
+  /**
+   * Render the template with the given title
+   * @param {Object} values - Placeholder values
+   * @param {string} title - Title, possibly shortened
+   * @returns {string} - Rendered file name
+   */
+  render(values, title) {
+    return this.template.replace(/\{(\w+)\}/g, (match, key) => {
+      if (key === 'title') return title;
+      if (key === 'slug') return createSlug(title);
+      return values[key] ?? match;
+    });
+  }
+
+  /**
+   * Generate a unique file name for a post and reserve it
+   * @param {Object} post - Post from the list returned by collectBlogPosts
+   * @returns {string} - File name without extension
+   */
+  generate(post) {
+    const id = getPostId(post.link);
+    const values = {
+      date: formatDate(post.date),
+      id: id || 'no-id',
+      category: post.category || 'no-category'
+    };
+
+    let title = post.title || 'untitled';
+    if (this.transliterate) {
+      title = transliterate(title);
+      values.category = transliterate(values.category);
+    }
+
+    // Shorten the title so the whole name fits, keeping date and ID intact
+    const overflow = createSafeFilename(this.render(values, title)).length - this.maxLength;
+    if (overflow > 0) {
+      title = title.slice(0, Math.max(MIN_TITLE_LENGTH, title.length - overflow)).trim();
+    }
+
+    const name = createSafeFilename(this.render(values, title));
+
+    // Add the post ID, and a counter if needed, when the name is already taken
+    let uniqueName = name;
+    let counter = 1;
+    while (this.usedNames.has(uniqueName.toLowerCase())) {
+      const suffix = counter === 1 ? values.id : `${values.id}-${counter}`;
+      uniqueName = `${name} (${suffix})`;
+      counter++;
+    }
+
+    this.reserve(uniqueName);
+
+    return uniqueName;
+  }
+}
@@ -0,0 +1,109 @@
+import { parseDate } from './parseDate.mjs';
+import { formatDate } from './utils.mjs';
+
+// Dates of the since and until filters: a year, a month or a day
+const FILTER_DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+/**
+ * Check a date of the since or until filter
+ * @param {string} name - Filter name used in the error message
+ * @param {string} value - Date as YYYY, YYYY-MM or YYYY-MM-DD
+ * @returns {string|null} - The date, or null if the filter is not set
+ * @throws {Error} - If the date has another format
+ */
+function validateFilterDate(name, value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const date = String(value);
+  if (!FILTER_DATE_PATTERN.test(date)) {
+    throw new Error(`Invalid ${name} date "${date}", expected YYYY, YYYY-MM or YYYY-MM-DD`);
+  }
+
+  return date;
+}
+
+/**
+ * Normalize a category for comparison
+ * @param {string} category - Category as shown on DRIVE2, e.g. "Ремонт"
+ * @returns {string}
+ */
+function normalizeCategory(category) {
+  return (category || '').trim().toLowerCase();
+}
+
+/**
+ * Get the publication time of a collected post for sorting
+ * @param {Object} post - Post returned by collectBlogPosts
+ * @returns {number|null} - Milliseconds since epoch, or null if the post has no recognized date
+ */
+function getPublishedTime(post) {
+  const timestamp = post.publishedAt || parseDate(post.date);
+  return timestamp ? Date.parse(timestamp) : null;
+}
+
+/**
+ * Check if any of the post filters is set
+ * @param {Object} filters - Filters, see filterPosts
+ * @returns {boolean}
+ */
+export function hasPostFilters(filters) {
+  const categories = [].concat(filters.category ?? []);
+  return Boolean(filters.since || filters.until || categories.length > 0 || filters.limit);
+}
+
+/**
+ * Filters collected blog posts by date, category and count
+ *
+ * Dates are compared as prefixes, so until=2023 keeps every post of 2023 and since=2023-06 starts from June 1st. Posts
+ * without a recognized date are skipped by the date filters.
+ * @param {Array} posts - Posts returned by collectBlogPosts, in the order of the logbook
+ * @param {Object} filters - Filters, all optional
+ * @param {string} [filters.since] - Keep posts published on this date or later, as YYYY, YYYY-MM or YYYY-MM-DD
+ * @param {string} [filters.until] - Keep posts published on this date or earlier, as YYYY, YYYY-MM or YYYY-MM-DD
+ * @param {string|Array<string>} [filters.category] - Categories to keep, case-insensitive; categories starting with
+ * "!" are skipped instead, e.g. ["Ремонт", "!Тюнинг"]
+ * @param {number} [filters.limit] - Keep only the N latest matching posts, posts without a date count as the oldest
+ * @returns {Array} - Matching posts in the same order, or the latest ones first with the limit
+ */
+export function filterPosts(posts, filters = {}) {
+  const since = validateFilterDate('since', filters.since);
+  const until = validateFilterDate('until', filters.until);
+
+  const categories = [].concat(filters.category ?? []).map(String);
+  const includedCategories = categories.filter(category => !category.startsWith('!')).map(normalizeCategory);
+  const excludedCategories = categories.filter(category => category.startsWith('!'))
+    .map(category => normalizeCategory(category.slice(1)));
+
+  const hasLimit = filters.limit !== undefined && filters.limit !== null;
+  if (hasLimit && !(Number.isInteger(filters.limit) && filters.limit > 0)) {
+    throw new Error(`Invalid limit ${filters.limit}, expected a positive integer`);
+  }
+
+  const matchingPosts = posts.filter(post => {
+    if (since || until) {
+      const date = formatDate(post.date);
+      if (date === 'unknown-date') return false;
+      if (since && date < since) return false;
+      if (until && date.slice(0, until.length) > until) return false;
+    }
+
+    const category = normalizeCategory(post.category);
+    if (includedCategories.length > 0 && !includedCategories.includes(category)) return false;
+    if (excludedCategories.includes(category)) return false;
+
+    return true;
+  });
+
+  if (!filters.limit) return matchingPosts;
+
+  // The car page groups posts by topic, so the latest ones are found by their dates, undated posts go last
+  const times = new Map(matchingPosts.map(post => [post, getPublishedTime(post)]));
+  const latestPosts = [...matchingPosts].sort((a, b) => {
+    const timeA = times.get(a);
+    const timeB = times.get(b);
+    if (timeA === null || timeB === null) return (timeA === null) - (timeB === null);
+    return timeB - timeA;
+  });
+
+  return latestPosts.slice(0, filters.limit);
+}
@@ -0,0 +1,88 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Normalizes a URL so saved pages can be looked up regardless of hash or trailing slash
+ * @param {string} url - URL to normalize
+ * @returns {string} - Normalized URL
+ */
+export function normalizeFixtureUrl(url) {
+  try {
+    const parsedUrl = new URL(url);
+    parsedUrl.hash = '';
+
+    // Treat "/l/123" and "/l/123/" as the same page
+    if (!parsedUrl.pathname.endsWith('/')) {
+      parsedUrl.pathname = `${parsedUrl.pathname}/`;
+    }
+
+    return parsedUrl.href;
+  } catch (error) {
+    // Not an absolute URL, use it as is
+    return url;
+  }
+}
+
+/**
+ * Class to load saved HTML pages from a local directory, keyed by URL
+ *
+ * The directory must contain an index.json file mapping page URLs to HTML
+ * files in the same directory, for example:
+ * { "https://www.drive2.ru/l/2790417/": "blogPage.html" }
+ */
+export class FixtureStore {
+  /**
+   * Create a fixture store
+   * @param {string} fixturesDir - Directory with saved HTML pages
+   */
+  constructor(fixturesDir) {
+    this.fixturesDir = fixturesDir;
+    this.indexPath = path.join(fixturesDir, 'index.json');
+    this.pages = {};
+  }
+
+  /**
+   * Load the index of saved pages
+   * @returns {Promise<number>} - Number of saved pages found
+   */
+  async load() {
+    let index;
+
+    try {
+      index = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read fixtures index ${this.indexPath}: ${error.message}`);
+    }
+
+    this.pages = {};
+    Object.entries(index).forEach(([url, fileName]) => {
+      this.pages[normalizeFixtureUrl(url)] = fileName;
+    });
+
+    return Object.keys(this.pages).length;
+  }
+
+  /**
+   * Check if a page has been saved for the URL
+   * @param {string} url - Page URL
+   * @returns {boolean}
+   */
+  has(url) {
+    return Boolean(this.pages[normalizeFixtureUrl(url)]);
+  }
+
+  /**
+   * Read the saved HTML of a page
+   * @param {string} url - Page URL
+   * @returns {Promise<string>} - Saved HTML
+   */
+  async read(url) {
+    const fileName = this.pages[normalizeFixtureUrl(url)];
+
+    if (!fileName) {
+      throw new Error(`No saved page found for ${url} in ${this.fixturesDir}`);
+    }
+
+    return fs.readFile(path.join(this.fixturesDir, fileName), 'utf8');
+  }
+}
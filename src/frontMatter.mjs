@@ -0,0 +1,35 @@
+/**
+ * Format a single value for YAML
+ * @param {*} value - String, number, boolean, Date or array of them
+ * @returns {string} - YAML value
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatValue).join(', ')}]`;
+  }
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+
+  // Dates in YYYY-MM-DD and full ISO formats are kept unquoted, so YAML readers parse them as dates
+  if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(value)) {
+    return value;
+  }
+
+  // JSON strings are valid double-quoted YAML strings
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Generates a YAML front matter block
+ * @param {Object} fields - Fields to include, empty values are skipped
+ * @returns {string} - Front matter including the --- delimiters
+ */
+export function generateFrontMatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '' && !Number.isNaN(value))
+    .map(([key, value]) => `${key}: ${formatValue(value)}`);
+
+  return `---\n${lines.join('\n')}\n---\n\n`;
+}
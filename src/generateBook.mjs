@@ -0,0 +1,330 @@
+import { createHash } from 'crypto';
+import path from 'path';
+
+import { convertHtmlToXhtml, escapeXml, getImageUrls } from './convertHtmlToXhtml.mjs';
+import { defaultLogger } from './logger.mjs';
+import { createZip } from './zip.mjs';
+
+// Formats of the export command
+export const BOOK_FORMATS = ['epub', 'pdf'];
+
+// Image types supported by EPUB readers, keyed by file extension
+const IMAGE_MEDIA_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
+
+// Styles shared by the EPUB chapters and the PDF
+const BOOK_STYLES = `
+body { font-family: serif; line-height: 1.5; }
+h1 { font-size: 1.6em; margin: 0 0 0.3em; }
+h2 { font-size: 1.3em; }
+h3, h4, h5, h6 { font-size: 1.1em; }
+.meta { color: #666; font-size: 0.9em; margin: 0 0 1.5em; }
+img { max-width: 100%; height: auto; }
+.figure { margin: 1em 0; text-align: center; }
+table { border-collapse: collapse; }
+td, th { border: 1px solid #999; padding: 0.2em 0.4em; }
+pre { white-space: pre-wrap; }
+`.trim();
+
+/**
+ * Get the media type of an image
+ * @param {string} url - Image URL or file path
+ * @param {string} [contentType] - Content-Type header of the response
+ * @returns {string|null} - Media type, or null if EPUB readers do not support it
+ */
+function getImageMediaType(url, contentType) {
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (Object.values(IMAGE_MEDIA_TYPES).includes(mimeType)) {
+    return mimeType;
+  }
+
+  const extension = path.extname(url.split(/[?#]/)[0]).toLowerCase();
+  return IMAGE_MEDIA_TYPES[extension] || null;
+}
+
+/**
+ * Create the chapter of the car review
+ * @param {Object} reviewData - Car review returned by extractCarReview
+ * @returns {Object} - Chapter
+ */
+function createReviewChapter(reviewData) {
+  return {
+    title: reviewData.title,
+    meta: [reviewData.owner?.name].filter(Boolean),
+    baseUrl: reviewData.baseUrl,
+    sections: [
+      { title: 'Отзыв владельца', html: reviewData.reviewContent },
+      { title: 'Паспортные данные', html: reviewData.passportContent }
+    ].filter(section => section.html)
+  };
+}
+
+/**
+ * Create the chapter of a blog post
+ * @param {Object} postData - Post data returned by extractBlogPost
+ * @param {Object} post - Post from the list returned by collectBlogPosts
+ * @returns {Object} - Chapter
+ */
+function createPostChapter(postData, post) {
+  return {
+    title: postData.title || post.title,
+    meta: [
+      postData.publicationDate,
+      post.category,
+      postData.metadata?.mileage || post.mileage,
+      postData.metadata?.cost || post.price
+    ].filter(Boolean),
+    baseUrl: postData.baseUrl,
+    sections: [{ html: postData.contentHtml }]
+  };
+}
+
+/**
+ * Render the body of a chapter
+ * @param {Object} chapter - Chapter created by createBook
+ * @param {Function} resolveImage - Function returning the path of an embedded image, see convertHtmlToXhtml
+ * @returns {string} - XHTML content
+ */
+function renderChapterBody(chapter, resolveImage) {
+  let body = `<h1>${escapeXml(chapter.title)}</h1>\n`;
+
+  if (chapter.meta.length > 0) {
+    body += `<p class="meta">${chapter.meta.map(escapeXml).join(' · ')}</p>\n`;
+  }
+
+  chapter.sections.forEach(section => {
+    if (section.title) {
+      body += `<h2>${escapeXml(section.title)}</h2>\n`;
+    }
+    body += `${convertHtmlToXhtml(section.html, chapter.baseUrl, { resolveImage })}\n`;
+  });
+
+  return body;
+}
+
+/**
+ * Wrap content into an XHTML document
+ * @param {string} title - Document title
+ * @param {string} body - XHTML content
+ * @param {string} [head] - Extra head elements
+ * @returns {string} - XHTML document
+ */
+function xhtmlDocument(title, body, head = '') {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="ru" lang="ru">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(title)}</title>
+${head}</head>
+<body>
+${body}</body>
+</html>
+`;
+}
+
+/**
+ * Compiles the car review and blog posts into a book, loading every image it shows
+ * @param {Object} content - Content of the book
+ * @param {Object} [content.reviewData] - Car review returned by extractCarReview, the first chapter
+ * @param {Array<{postData: Object, post: Object}>} content.posts - Blog posts in the order of the chapters
+ * @param {Object} options - Book options
+ * @param {Function} options.loadImage - Async function returning {data, contentType} of a fetched image or {data, path}
+ * of a downloaded one for an image URL, or null if it is not available
+ * @param {string} [options.url] - URL of the car page
+ * @param {Object} [options.logger] - Logger created by createLogger
+ * @returns {Promise<Object>} - Book: title, author, url, chapters, and images keyed by URL with their file name,
+ * media type and data
+ */
+export async function createBook(content, options) {
+  const { reviewData, posts } = content;
+  const logger = options.logger || defaultLogger;
+
+  const chapters = [
+    ...(reviewData ? [createReviewChapter(reviewData)] : []),
+    ...posts.map(({ postData, post }) => createPostChapter(postData, post))
+  ];
+  chapters.forEach((chapter, index) => {
+    chapter.id = `chapter-${String(index + 1).padStart(3, '0')}`;
+  });
+
+  const urls = [...new Set(chapters.flatMap(chapter =>
+    chapter.sections.flatMap(section => getImageUrls(section.html, chapter.baseUrl))))];
+  logger.info(`Embedding ${urls.length} images...`);
+
+  // Images are named after their URLs, so every image is stored once however many chapters show it
+  const images = new Map();
+  for (const url of urls) {
+    const image = await options.loadImage(url);
+    const mediaType = image && getImageMediaType(image.path || url, image.contentType);
+
+    if (!mediaType) {
+      logger.warn(`Image not embedded, linking it instead: ${url}`);
+      continue;
+    }
+
+    const hash = createHash('sha256').update(url).digest('hex').slice(0, 16);
+    const extension = Object.keys(IMAGE_MEDIA_TYPES).find(key => IMAGE_MEDIA_TYPES[key] === mediaType);
+    images.set(url, { fileName: `images/${hash}${extension}`, mediaType, data: image.data });
+  }
+
+  return {
+    title: reviewData?.title || 'Logbook',
+    author: reviewData?.owner?.name || '',
+    url: options.url || reviewData?.url || '',
+    chapters,
+    images
+  };
+}
+
+/**
+ * Generates an EPUB 3 book, with an EPUB 2 table of contents for older readers
+ * @param {Object} book - Book returned by createBook
+ * @param {Object} [options] - Generation options
+ * @param {Date} [options.date] - Modification date of the book (default: now)
+ * @returns {Buffer} - EPUB file
+ */
+export function generateEpub(book, options = {}) {
+  const date = options.date || new Date();
+  const identifier = book.url || `urn:sha256:${createHash('sha256').update(book.title).digest('hex')}`;
+  const resolveImage = url => book.images.get(url)?.fileName || null;
+  const styleLink = '<link rel="stylesheet" type="text/css" href="style.css"/>\n';
+
+  const chapterFiles = book.chapters.map(chapter => ({
+    name: `OEBPS/${chapter.id}.xhtml`,
+    data: xhtmlDocument(chapter.title, renderChapterBody(chapter, resolveImage), styleLink)
+  }));
+
+  const tocItems = book.chapters
+    .map(chapter => `<li><a href="${chapter.id}.xhtml">${escapeXml(chapter.title)}</a></li>`)
+    .join('\n');
+  const nav = xhtmlDocument('Содержание',
+    `<nav epub:type="toc" id="toc">\n<h1>Содержание</h1>\n<ol>\n${tocItems}\n</ol>\n</nav>\n`, styleLink);
+
+  const navPoints = book.chapters.map((chapter, index) => `<navPoint id="${chapter.id}" playOrder="${index + 1}">
+<navLabel><text>${escapeXml(chapter.title)}</text></navLabel>
+<content src="${chapter.id}.xhtml"/>
+</navPoint>`).join('\n');
+  const ncx = `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${escapeXml(identifier)}"/></head>
+<docTitle><text>${escapeXml(book.title)}</text></docTitle>
+<navMap>
+${navPoints}
+</navMap>
+</ncx>
+`;
+
+  const manifestItems = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+    '<item id="style" href="style.css" media-type="text/css"/>',
+    ...book.chapters.map(chapter =>
+      `<item id="${chapter.id}" href="${chapter.id}.xhtml" media-type="application/xhtml+xml"/>`),
+    ...[...book.images.values()].map((image, index) =>
+      `<item id="image-${index + 1}" href="${image.fileName}" media-type="${image.mediaType}"/>`)
+  ];
+  const spineItems = book.chapters.map(chapter => `<itemref idref="${chapter.id}"/>`);
+  const metadataItems = [
+    `<dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>`,
+    `<dc:title>${escapeXml(book.title)}</dc:title>`,
+    book.author && `<dc:creator>${escapeXml(book.author)}</dc:creator>`,
+    '<dc:language>ru</dc:language>',
+    book.url && `<dc:source>${escapeXml(book.url)}</dc:source>`,
+    `<meta property="dcterms:modified">${date.toISOString().replace(/\.\d+Z$/, 'Z')}</meta>`
+  ].filter(Boolean);
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="ru">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${metadataItems.join('\n')}
+</metadata>
+<manifest>
+${manifestItems.join('\n')}
+</manifest>
+<spine toc="ncx">
+${spineItems.join('\n')}
+</spine>
+</package>
+`;
+
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+  // The mimetype file has to come first and stay uncompressed, so readers can recognize the format
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip', compress: false },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    { name: 'OEBPS/toc.ncx', data: ncx },
+    { name: 'OEBPS/style.css', data: BOOK_STYLES },
+    ...chapterFiles,
+    ...[...book.images.values()].map(image => ({ name: `OEBPS/${image.fileName}`, data: image.data, compress: false }))
+  ], { date });
+}
+
+/**
+ * Generates a single HTML document of a book, with the images inlined, to print it as a PDF
+ * @param {Object} book - Book returned by createBook
+ * @returns {string} - XHTML document
+ */
+export function generateBookHtml(book) {
+  const resolveImage = url => {
+    const image = book.images.get(url);
+    return image ? `data:${image.mediaType};base64,${image.data.toString('base64')}` : null;
+  };
+
+  const tocItems = book.chapters
+    .map(chapter => `<li><a href="#${chapter.id}">${escapeXml(chapter.title)}</a></li>`)
+    .join('\n');
+  const chapters = book.chapters.map(chapter =>
+    `<section class="chapter" id="${chapter.id}">\n${renderChapterBody(chapter, resolveImage)}</section>`).join('\n');
+
+  const head = `<style>
+${BOOK_STYLES}
+.title-page { text-align: center; padding-top: 30%; }
+.chapter { break-before: page; }
+</style>
+`;
+  const titlePage = `<section class="title-page">\n<h1>${escapeXml(book.title)}</h1>\n` +
+    `${book.author ? `<p>${escapeXml(book.author)}</p>\n` : ''}</section>`;
+  const toc = `<section class="chapter">\n<h1>Содержание</h1>\n<ol>\n${tocItems}\n</ol>\n</section>`;
+
+  return xhtmlDocument(book.title, `${titlePage}\n${toc}\n${chapters}\n`, head);
+}
+
+/**
+ * Generates a PDF of a book, printed by the browser of the session
+ * @param {Object} book - Book returned by createBook
+ * @param {BrowserSession} session - Started browser session
+ * @returns {Promise<Buffer>} - PDF file
+ */
+export async function generatePdf(book, session) {
+  return session.withPage(async page => {
+    // The document is self-contained, its images are inlined
+    await page.setContent(generateBookHtml(book), { waitUntil: 'load', timeout: 0 });
+
+    const pdf = await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      margin: { top: '20mm', right: '15mm', bottom: '20mm', left: '15mm' },
+      displayHeaderFooter: true,
+      headerTemplate: '<span></span>',
+      footerTemplate: '<div style="width: 100%; font-size: 9px; text-align: center;">' +
+        '<span class="pageNumber"></span> / <span class="totalPages"></span></div>'
+    });
+
+    return Buffer.from(pdf);
+  });
+}
@@ -0,0 +1,148 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { generateFrontMatter } from './frontMatter.mjs';
+import { createDirectoryIfNotExists, createSafeFilename, encodeMarkdownPath, formatDate } from './utils.mjs';
+
+// Folder for per-category and per-year indexes
+export const INDEX_DIR = '_index';
+
+// Navigation from per-category and per-year indexes back to the main one
+const BACK_LINK = `[Index](../Index.md)\n\n`;
+
+/**
+ * Combine progress entries with the data of the collected post list
+ * @param {Array} entries - Processed posts from ProgressTracker
+ * @param {Array} posts - Posts returned by collectBlogPosts, used for entries saved by earlier versions
+ * @returns {Array} - Index items sorted by date
+ */
+export function createIndexItems(entries, posts) {
+  const postsByLink = new Map(posts.map(post => [post.link, post]));
+
+  const items = entries.map(entry => {
+    const post = postsByLink.get(entry.link) || {};
+    const date = entry.date || formatDate(post.date);
+
+    return {
+      title: entry.title || post.title,
+      link: entry.link,
+      fileName: entry.fileName,
+      date: date === 'unknown-date' ? null : date,
+      category: entry.category || post.category || '',
+      mileage: entry.mileage || post.mileage || '',
+      cost: entry.cost || post.price || ''
+    };
+  });
+
+  // Oldest posts first, posts without a date at the end
+  return items.sort((a, b) => (a.date || '9999').localeCompare(b.date || '9999'));
+}
+
+/**
+ * Escape text for use inside a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} - Escaped text
+ */
+function escapeCell(text) {
+  return String(text || '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Generate a table of posts
+ * @param {Array} items - Index items
+ * @param {string} pathPrefix - Prefix of links to post files, relative to the index file
+ * @returns {string} - Markdown table
+ */
+function generatePostsTable(items, pathPrefix) {
+  let markdown = `| Date | Title | Category | Mileage | Cost |\n`;
+  markdown += `| --- | --- | --- | --- | --- |\n`;
+
+  items.forEach(item => {
+    // Posts saved only to NDJSON have no file to link to
+    const title = item.fileName
+      ? `[${escapeCell(item.title)}](${encodeMarkdownPath(`${pathPrefix}${item.fileName}`)})`
+      : escapeCell(item.title);
+
+    markdown += `| ${item.date || ''} | ${title} | ${escapeCell(item.category)} | ${escapeCell(item.mileage)} | ` +
+      `${escapeCell(item.cost)} |\n`;
+  });
+
+  return markdown;
+}
+
+/**
+ * Group index items by a key
+ * @param {Array} items - Index items
+ * @param {Function} getKey - Function returning the group name of an item
+ * @returns {Map<string, Array>} - Items by group name, in order of appearance
+ */
+function groupItems(items, getKey) {
+  const groups = new Map();
+
+  items.forEach(item => {
+    const key = getKey(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+
+  return groups;
+}
+
+/**
+ * Write an index file
+ * @param {string} filePath - Path of the index file
+ * @param {string} title - Index title
+ * @param {Array} items - Index items
+ * @param {string} pathPrefix - Prefix of links to post files, relative to the index file
+ * @param {string} [navigation] - Markdown placed between the title and the table
+ * @returns {Promise<void>}
+ */
+async function writeIndex(filePath, title, items, pathPrefix, navigation = '') {
+  let markdown = generateFrontMatter({ title, posts: items.length });
+  markdown += `# ${title}\n\n`;
+  markdown += navigation;
+  markdown += generatePostsTable(items, pathPrefix);
+
+  await fs.writeFile(filePath, markdown);
+}
+
+/**
+ * Generates Index.md with all posts, plus per-category and per-year indexes
+ * @param {string} outputDir - Output directory
+ * @param {Array} entries - Processed posts from ProgressTracker
+ * @param {Array} [posts] - Posts returned by collectBlogPosts, fills in data missing in older progress files
+ * @returns {Promise<number>} - Number of posts in the index
+ */
+export async function generateIndexes(outputDir, entries, posts = []) {
+  const items = createIndexItems(entries, posts);
+  const indexDir = path.join(outputDir, INDEX_DIR);
+
+  // Start from scratch, so categories and years without posts disappear
+  await fs.rm(indexDir, { recursive: true, force: true });
+  await createDirectoryIfNotExists(indexDir);
+
+  const categories = groupItems(items, item => item.category || 'Без категории');
+  const years = groupItems(items, item => (item.date ? item.date.slice(0, 4) : 'Без даты'));
+
+  const categoryLinks = [];
+  for (const [category, categoryItems] of categories) {
+    const fileName = `${createSafeFilename(`Category - ${category}`)}.md`;
+    await writeIndex(path.join(indexDir, fileName), category, categoryItems, '../', BACK_LINK);
+    categoryLinks.push(`[${category}](${encodeMarkdownPath(`${INDEX_DIR}/${fileName}`)}) (${categoryItems.length})`);
+  }
+
+  const yearLinks = [];
+  for (const [year, yearItems] of years) {
+    const fileName = `${createSafeFilename(`Year - ${year}`)}.md`;
+    await writeIndex(path.join(indexDir, fileName), year, yearItems, '../', BACK_LINK);
+    yearLinks.push(`[${year}](${encodeMarkdownPath(`${INDEX_DIR}/${fileName}`)}) (${yearItems.length})`);
+  }
+
+  let navigation = `[Home](Home.md)\n\n`;
+  navigation += `**By category:** ${categoryLinks.join(', ')}\n\n`;
+  navigation += `**By year:** ${yearLinks.join(', ')}\n\n`;
+
+  await writeIndex(path.join(outputDir, 'Index.md'), 'Index', items, '', navigation);
+
+  return items.length;
+}
@@ -0,0 +1,253 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { generateFrontMatter } from './frontMatter.mjs';
+import { createIndexItems } from './generateIndex.mjs';
+import { encodeMarkdownPath, parseCost, parseMileage } from './utils.mjs';
+
+// Names of the generated report files
+export const LEDGER_FILE_NAME = 'Ledger.md';
+export const LEDGER_CSV_FILE_NAME = 'ledger.csv';
+
+// Group names for posts without a category or a date
+const NO_CATEGORY = 'Без категории';
+const NO_YEAR = 'Без даты';
+
+/**
+ * Turn index items into ledger rows with parsed cost and mileage
+ * @param {Array} items - Index items sorted by date
+ * @returns {Array} - Ledger rows
+ */
+function createLedgerRows(items) {
+  return items.map(item => ({
+    ...item,
+    cost: parseCost(item.cost),
+    mileage: parseMileage(item.mileage)
+  }));
+}
+
+/**
+ * Format an amount or a distance for Markdown tables
+ * @param {number} value - Number to format
+ * @returns {string} - Number with digits grouped by spaces
+ */
+function formatAmount(value) {
+  return value.toLocaleString('ru-RU', { maximumFractionDigits: 2 }).replace(/\s/g, ' ');
+}
+
+/**
+ * Escape text for use inside a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} - Escaped text
+ */
+function escapeCell(text) {
+  return String(text || '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Escape a value for CSV
+ * @param {*} value - Cell value
+ * @returns {string} - Value quoted when needed
+ */
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Sum costs of rows by currency
+ * @param {Array} rows - Ledger rows
+ * @returns {Map<string, number>} - Totals by currency code, "?" for prices without a currency
+ */
+function sumByCurrency(rows) {
+  const totals = new Map();
+
+  rows.forEach(row => {
+    if (!row.cost) return;
+    const currency = row.cost.currency || '?';
+    totals.set(currency, (totals.get(currency) || 0) + row.cost.amount);
+  });
+
+  return totals;
+}
+
+/**
+ * Group rows by a key and sum their costs
+ * @param {Array} rows - Ledger rows
+ * @param {Function} getKey - Function returning the group name of a row
+ * @returns {Array<{name: string, rows: Array, totals: Map<string, number>}>} - Groups in order of appearance
+ */
+function groupRows(rows, getKey) {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const key = getKey(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  return Array.from(groups, ([name, groupedRows]) => ({ name, rows: groupedRows, totals: sumByCurrency(groupedRows) }));
+}
+
+/**
+ * Generate a spending table with a column per currency
+ * @param {string} title - Title of the first column
+ * @param {Array} groups - Groups returned by groupRows
+ * @param {Array<string>} currencies - Currency codes
+ * @returns {string} - Markdown table
+ */
+function generateSpendingTable(title, groups, currencies) {
+  let markdown = `| ${title} | ${currencies.join(' | ')} | Posts |\n`;
+  markdown += `| --- | ${currencies.map(() => '---:').join(' | ')} | ---: |\n`;
+
+  groups.forEach(group => {
+    const amounts = currencies.map(currency =>
+      (group.totals.has(currency) ? formatAmount(group.totals.get(currency)) : ''));
+    markdown += `| ${escapeCell(group.name)} | ${amounts.join(' | ')} | ${group.rows.length} |\n`;
+  });
+
+  return markdown;
+}
+
+/**
+ * Generate a table of mileage at the end of every year and distance driven during it
+ * @param {Array} rows - Ledger rows sorted by date
+ * @returns {string} - Markdown table, empty if no post has both a date and a mileage
+ */
+function generateMileageTable(rows) {
+  const years = groupRows(rows.filter(row => row.date && row.mileage), row => row.date.slice(0, 4));
+  if (years.length === 0) return '';
+
+  let markdown = `| Year | Mileage, km | Driven, km |\n`;
+  markdown += `| --- | ---: | ---: |\n`;
+
+  let previousMileage = null;
+  years.forEach(year => {
+    const distances = year.rows.map(row => row.mileage.km);
+    const mileage = Math.max(...distances);
+    // The first year starts from its own lowest mileage
+    const driven = mileage - (previousMileage ?? Math.min(...distances));
+
+    markdown += `| ${year.name} | ${formatAmount(mileage)} | ${formatAmount(driven)} |\n`;
+    previousMileage = mileage;
+  });
+
+  return markdown;
+}
+
+/**
+ * Generate Markdown of the ledger report
+ * @param {Array} rows - Ledger rows sorted by date
+ * @returns {string} - Markdown content
+ */
+function generateLedgerMarkdown(rows) {
+  const expenses = rows.filter(row => row.cost);
+  const totals = sumByCurrency(rows);
+  const currencies = Array.from(totals.keys());
+
+  const distances = rows.filter(row => row.mileage).map(row => row.mileage.km);
+  const dates = rows.filter(row => row.date).map(row => row.date);
+
+  let markdown = generateFrontMatter({ title: 'Ledger', posts: rows.length, expenses: expenses.length });
+  markdown += `# Ledger\n\n`;
+  markdown += `[Home](Home.md)\n\n`;
+
+  // Total cost of ownership, one line per currency, as amounts in different currencies cannot be added up
+  markdown += `## Total cost of ownership\n\n`;
+  if (currencies.length === 0) {
+    markdown += `No posts with a cost found.\n\n`;
+  }
+  currencies.forEach(currency => {
+    markdown += `- **${formatAmount(totals.get(currency))} ${currency}**\n`;
+  });
+  if (dates.length > 0) {
+    markdown += `- Period: ${dates[0]} — ${dates[dates.length - 1]}\n`;
+  }
+  if (distances.length > 1) {
+    const driven = Math.max(...distances) - Math.min(...distances);
+    markdown += `- Driven: ${formatAmount(driven)} km (${formatAmount(Math.min(...distances))} — ` +
+      `${formatAmount(Math.max(...distances))} km)\n`;
+
+    // Cost per kilometer makes sense only when all expenses are in one currency
+    if (currencies.length === 1 && driven > 0) {
+      markdown += `- Cost per km: ${formatAmount(totals.get(currencies[0]) / driven)} ${currencies[0]}\n`;
+    }
+  }
+  markdown += `\n`;
+
+  if (expenses.length > 0) {
+    const categories = groupRows(expenses, row => row.category || NO_CATEGORY)
+      .sort((a, b) => (b.totals.get(currencies[0]) || 0) - (a.totals.get(currencies[0]) || 0));
+    markdown += `## By category\n\n`;
+    markdown += `${generateSpendingTable('Category', categories, currencies)}\n`;
+
+    const years = groupRows(expenses, row => (row.date ? row.date.slice(0, 4) : NO_YEAR));
+    markdown += `## By year\n\n`;
+    markdown += `${generateSpendingTable('Year', years, currencies)}\n`;
+  }
+
+  const mileageTable = generateMileageTable(rows);
+  if (mileageTable) {
+    markdown += `## Mileage over time\n\n`;
+    markdown += `${mileageTable}\n`;
+  }
+
+  if (expenses.length > 0) {
+    markdown += `## Expenses\n\n`;
+    markdown += `| Date | Title | Category | Cost | Mileage, km |\n`;
+    markdown += `| --- | --- | --- | ---: | ---: |\n`;
+
+    expenses.forEach(row => {
+      // Posts saved only to NDJSON have no file to link to
+      const title = row.fileName
+        ? `[${escapeCell(row.title)}](${encodeMarkdownPath(row.fileName)})`
+        : escapeCell(row.title);
+      const cost = `${formatAmount(row.cost.amount)} ${row.cost.currency || ''}`.trim();
+      const mileage = row.mileage ? formatAmount(row.mileage.km) : '';
+
+      markdown += `| ${row.date || ''} | ${title} | ${escapeCell(row.category)} | ${cost} | ${mileage} |\n`;
+    });
+  }
+
+  return markdown;
+}
+
+/**
+ * Generate CSV of the ledger report, one line per post
+ * @param {Array} rows - Ledger rows sorted by date
+ * @returns {string} - CSV content
+ */
+function generateLedgerCsv(rows) {
+  const header = ['date', 'title', 'category', 'cost', 'currency', 'mileage', 'mileage_unit', 'mileage_km', 'url'];
+
+  const lines = rows.map(row => [
+    row.date,
+    row.title,
+    row.category,
+    row.cost?.amount,
+    row.cost?.currency,
+    row.mileage?.value,
+    row.mileage?.unit,
+    row.mileage?.km,
+    row.link
+  ].map(escapeCsv).join(','));
+
+  // Byte order mark, so spreadsheet applications read Cyrillic text as UTF-8
+  return `\uFEFF${[header.join(','), ...lines].join('\n')}\n`;
+}
+
+/**
+ * Generates Ledger.md and ledger.csv with spending per category and year, total cost of ownership and mileage over time
+ * @param {string} outputDir - Output directory
+ * @param {Array} entries - Processed posts from ProgressTracker
+ * @param {Array} [posts] - Posts returned by collectBlogPosts, fills in data missing in older progress files
+ * @returns {Promise<number>} - Number of posts with a cost
+ */
+export async function generateLedger(outputDir, entries, posts = []) {
+  const rows = createLedgerRows(createIndexItems(entries, posts));
+
+  await fs.writeFile(path.join(outputDir, LEDGER_FILE_NAME), generateLedgerMarkdown(rows));
+  await fs.writeFile(path.join(outputDir, LEDGER_CSV_FILE_NAME), generateLedgerCsv(rows));
+
+  return rows.filter(row => row.cost).length;
+}
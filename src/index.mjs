@@ -0,0 +1,39 @@
+// Programmatic API, the command line interface in app.mjs is a thin wrapper around the Crawler
+
+// Crawling
+export { Crawler, DEFAULT_OPTIONS, GARAGE_FILE_NAME, REMOVED_DIR, crawlCar } from './crawler.mjs';
+export { BrowserSession } from './browserSession.mjs';
+export { HttpError, RateLimiter, ThrottledError } from './rateLimiter.mjs';
+export { createLogger, LOG_LEVELS } from './logger.mjs';
+
+// Extraction
+export { collectBlogPosts, getCarUrl, isLogbookUrl } from './collectBlogPosts.mjs';
+export { extractBlogPost, generateMarkdown, getContentHash } from './extractBlogPost.mjs';
+export { extractCarReview, generateReviewMarkdown } from './extractCarReview.mjs';
+export { extractComments, generateCommentsMarkdown } from './extractComments.mjs';
+export { extractUserCars, generateGarageMarkdown, isUserProfileUrl } from './extractUserCars.mjs';
+export { convertHtmlToMarkdown } from './convertHtmlToMarkdown.mjs';
+export { convertHtmlToXhtml } from './convertHtmlToXhtml.mjs';
+export { getVideo } from './embeds.mjs';
+
+// Storage
+export { ProgressTracker } from './progressTracker.mjs';
+export { FixtureStore } from './fixtures.mjs';
+export { ARCHIVE_DIR, PageArchive } from './pageArchive.mjs';
+export { downloadImages } from './downloadImages.mjs';
+export {
+  OUTPUT_FORMATS,
+  createPostRecord,
+  createReviewRecord,
+  restorePostData,
+  restoreReviewData,
+  saveOutputs
+} from './exporters.mjs';
+export { DEFAULT_FILENAME_TEMPLATE, FilenameGenerator } from './filenames.mjs';
+export { readInputFile } from './readInputFile.mjs';
+
+// Reports
+export { generateIndexes } from './generateIndex.mjs';
+export { generateLedger } from './generateLedger.mjs';
+export { BOOK_FORMATS, createBook, generateBookHtml, generateEpub, generatePdf } from './generateBook.mjs';
+export { LINK_STYLES, getLinkedPostId, linkPosts } from './linkPosts.mjs';
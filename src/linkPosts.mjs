@@ -0,0 +1,178 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { getPostId } from './filenames.mjs';
+import { encodeMarkdownPath } from './utils.mjs';
+
+// Styles of links between saved posts: relative Markdown links, Obsidian wiki-links, or the links to DRIVE2
+export const LINK_STYLES = ['relative', 'wiki', 'remote'];
+
+// Start of the backlinks section, everything after it is generated
+const BACKLINKS_MARKER = '<!-- backlinks -->';
+
+// Markdown links and images, the text may contain escaped brackets and a nested image: [![photo](src)](url), or
+// wiki-links: [[File name]] or [[File name|text]]. Fenced code blocks, up to the closing fence or the end of the file,
+// and inline code spans are matched first, so links shown as code are left as they are. Escaped brackets never start
+// a link, and every character of the text matches a single alternative, so an unclosed bracket followed by many
+// images never makes the regex backtrack exponentially
+const LINK_REGEX = new RegExp([
+  /^[ \t]*(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^[ \t]*\1[`~]*[ \t]*$|(?![\s\S]))/.source,
+  /(?<![\\`])(`+)(?!`)[\s\S]*?(?<!`)\2(?!`)/.source,
+  /(!?)(?<!\\)\[((?:\\.|[^[\]\\!]|!(?!\[)|!?\[[^\]]*\]\([^)]*\))*)\]\(([^)\s]+)\)/.source,
+  /\[\[([^[\]|]+)(?:\|([^[\]]*))?\]\]/.source
+].join('|'), 'gm');
+
+/**
+ * Gets the DRIVE2 post ID a link points to
+ *
+ * Besides /l/<id>/ links, DRIVE2 uses short /p/cjr/<token> links, with the post ID in the last 8 bytes of the token.
+ * @param {string} url - Absolute URL
+ * @returns {string|null} - Post ID, or null for links to other pages
+ */
+export function getLinkedPostId(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (!/(^|\.)drive2\.(ru|com)$/.test(parsedUrl.hostname)) return null;
+
+  const postId = getPostId(parsedUrl.pathname);
+  if (postId) return postId;
+
+  const tokenMatch = parsedUrl.pathname.match(/^\/p\/cjr\/([A-Za-z0-9_-]+)/);
+  const token = tokenMatch && Buffer.from(tokenMatch[1], 'base64url');
+  return token && token.length === 16 ? token.readBigUInt64BE(8).toString() : null;
+}
+
+/**
+ * Escape a post title for the text of a link
+ * @param {string} title - Post title as shown on DRIVE2
+ * @returns {string} - Title with brackets and pipes escaped, these make wiki-links fall back to Markdown ones
+ */
+function escapeLinkText(title) {
+  return title.replace(/([\\[\]|])/g, '\\$1');
+}
+
+/**
+ * Format a link to a saved post
+ * @param {Object} target - Saved post: baseName, link and title
+ * @param {string} text - Link text in Markdown
+ * @param {string} style - One of LINK_STYLES
+ * @returns {string} - Markdown or wiki-link
+ */
+function formatLink(target, text, style) {
+  if (style === 'remote') {
+    return `[${text}](${target.link})`;
+  }
+
+  // Wiki-links can't hold formatted text like images, such links stay Markdown ones
+  if (style === 'wiki' && !/[[\]|\n]/.test(text)) {
+    return text === target.baseName ? `[[${target.baseName}]]` : `[[${target.baseName}|${text}]]`;
+  }
+
+  return `[${text}](${encodeMarkdownPath(`${target.baseName}.md`)})`;
+}
+
+/**
+ * Rewrites links between saved posts to local files and adds a backlinks section to every post referenced by others
+ *
+ * Links to DRIVE2 posts present in the list become relative links to their Markdown files, or wiki-links, and the
+ * local links of earlier runs are converted when the style changes. The remote style restores the links to DRIVE2 and
+ * removes the backlinks sections. Home.md is rewritten too, but has no backlinks section.
+ * @param {string} outputDir - Output directory with the Markdown files
+ * @param {Array<{baseName: string, link: string, title: string}>} posts - Saved posts
+ * @param {Object} [options] - Linking options
+ * @param {string} [options.style] - One of LINK_STYLES (default: relative)
+ * @returns {Promise<{linksCount: number, backlinksCount: number}>} - Numbers of links between the files and of posts
+ * with backlinks
+ */
+export async function linkPosts(outputDir, posts, options = {}) {
+  const style = options.style || 'relative';
+
+  const postsById = new Map();
+  const postsByBaseName = new Map();
+  posts.forEach(post => {
+    const id = getPostId(post.link);
+    if (id) postsById.set(id, post);
+    postsByBaseName.set(post.baseName, post);
+  });
+
+  // Find the saved post a link points to: a DRIVE2 URL or a local file of an earlier run
+  const findTarget = url => {
+    const postId = getLinkedPostId(url);
+    if (postId) return postsById.get(postId) || null;
+
+    if (/^[a-z][a-z0-9+.-]*:/i.test(url) || !url.endsWith('.md')) return null;
+
+    try {
+      return postsByBaseName.get(decodeURIComponent(url).slice(0, -'.md'.length)) || null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const files = [{ baseName: 'Home', title: 'Home', isHome: true }, ...posts];
+  const contents = new Map();
+  const backlinks = new Map();
+  let linksCount = 0;
+
+  for (const file of files) {
+    let markdown;
+    try {
+      markdown = await fs.readFile(path.join(outputDir, `${file.baseName}.md`), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    // The backlinks section is generated again from scratch
+    const markerIndex = markdown.indexOf(BACKLINKS_MARKER);
+    const content = (markerIndex === -1 ? markdown : markdown.slice(0, markerIndex)).trimEnd();
+
+    const addLink = target => {
+      linksCount++;
+      if (target.baseName === file.baseName) return;
+
+      const sources = backlinks.get(target.baseName) || new Set();
+      sources.add(file);
+      backlinks.set(target.baseName, sources);
+    };
+
+    const rewritten = content.replace(LINK_REGEX, (match, fence, ticks, image, text, url, wikiBaseName, wikiText) => {
+      if (fence || ticks) return match;
+
+      const target = wikiBaseName ? postsByBaseName.get(wikiBaseName) : !image && findTarget(url);
+      if (!target) return match;
+
+      addLink(target);
+      return formatLink(target, wikiBaseName ? wikiText ?? wikiBaseName : text, style);
+    });
+
+    contents.set(file, { original: markdown, rewritten });
+  }
+
+  // Add the backlinks sections and save the files that changed
+  let backlinksCount = 0;
+  for (const [file, { original, rewritten }] of contents) {
+    let markdown = rewritten;
+    const sources = backlinks.get(file.baseName);
+
+    if (style !== 'remote' && !file.isHome && sources) {
+      const items = [...sources].map(source => `- ${formatLink(source, escapeLinkText(source.title), style)}`);
+      markdown += `\n\n${BACKLINKS_MARKER}\n## Backlinks\n\n${items.join('\n')}`;
+      backlinksCount++;
+    }
+
+    // Files keep their own line ending
+    markdown += original.match(/\s*$/)[0];
+
+    if (markdown !== original) {
+      await fs.writeFile(path.join(outputDir, `${file.baseName}.md`), markdown);
+    }
+  }
+
+  return { linksCount, backlinksCount };
+}
@@ -0,0 +1,36 @@
+// Log levels from the most to the least verbose, "silent" turns logging off
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Methods a logger has, one per level
+const LOGGER_METHODS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Creates a logger writing messages of the given level and above
+ *
+ * The output can be any object with debug(), info(), warn() and error() methods, like the console or loggers of
+ * popular logging libraries, missing methods are skipped.
+ * @param {Object} [options] - Logger options
+ * @param {string} [options.level] - Minimum level of messages to write, one of LOG_LEVELS (default: info)
+ * @param {Object} [options.output] - Object to write messages to (default: console)
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}} - Logger
+ */
+export function createLogger(options = {}) {
+  const level = options.level || 'info';
+  const output = options.output || console;
+  const minLevelIndex = LOG_LEVELS.indexOf(level);
+
+  if (minLevelIndex === -1) {
+    throw new Error(`Unknown log level ${level}, expected one of: ${LOG_LEVELS.join(', ')}`);
+  }
+
+  const logger = {};
+  LOGGER_METHODS.forEach((method, index) => {
+    const write = typeof output[method] === 'function' ? output[method].bind(output) : null;
+    logger[method] = write && index >= minLevelIndex ? write : () => {};
+  });
+
+  return logger;
+}
+
+// Logger used by modules that are not given one
+export const defaultLogger = createLogger();
@@ -0,0 +1,109 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { gunzip, gzip } from 'zlib';
+
+import { normalizeFixtureUrl } from './fixtures.mjs';
+import { createDirectoryIfNotExists } from './utils.mjs';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+// Folder of the archive in the output directory
+export const ARCHIVE_DIR = '_archive';
+
+/**
+ * Class to keep the raw HTML of every fetched page, so the output can be rendered again without fetching anything
+ *
+ * Pages are stored gzipped in the _archive folder of the output directory, and its index.json maps page URLs to
+ * file names and fetch timestamps. The archive has the same has() and read() methods as FixtureStore, so a
+ * BrowserSession can load pages from it instead of the live site.
+ */
+export class PageArchive {
+  /**
+   * Create a page archive
+   * @param {string} outputDir - Output directory to keep the archive in
+   */
+  constructor(outputDir) {
+    this.archiveDir = path.join(outputDir, ARCHIVE_DIR);
+    this.indexPath = path.join(this.archiveDir, 'index.json');
+    this.pages = {};
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load the index of archived pages
+   * @returns {Promise<number>} - Number of archived pages, 0 if there is no archive yet
+   */
+  async load() {
+    try {
+      this.pages = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read archive index ${this.indexPath}: ${error.message}`);
+      }
+      this.pages = {};
+    }
+
+    return Object.keys(this.pages).length;
+  }
+
+  /**
+   * Check if a page has been archived
+   * @param {string} url - Page URL
+   * @returns {boolean}
+   */
+  has(url) {
+    return Boolean(this.pages[normalizeFixtureUrl(url)]);
+  }
+
+  /**
+   * Get the time a page was fetched
+   * @param {string} url - Page URL
+   * @returns {string|null} - ISO timestamp, or null if the page is not archived
+   */
+  getFetchedAt(url) {
+    return this.pages[normalizeFixtureUrl(url)]?.fetchedAt || null;
+  }
+
+  /**
+   * Read the archived HTML of a page
+   * @param {string} url - Page URL
+   * @returns {Promise<string>} - Archived HTML
+   */
+  async read(url) {
+    const entry = this.pages[normalizeFixtureUrl(url)];
+    if (!entry) {
+      throw new Error(`No archived page found for ${url}`);
+    }
+
+    const data = await fs.readFile(path.join(this.archiveDir, entry.fileName));
+    return (await gunzipAsync(data)).toString('utf8');
+  }
+
+  /**
+   * Archive the HTML of a page, replacing the one fetched earlier
+   * @param {string} url - Page URL
+   * @param {string} html - Page HTML
+   * @returns {Promise<void>}
+   */
+  async save(url, html) {
+    const key = normalizeFixtureUrl(url);
+    const fileName = `${createHash('sha256').update(key).digest('hex').slice(0, 16)}.html.gz`;
+    const filePath = path.join(this.archiveDir, fileName);
+
+    await createDirectoryIfNotExists(this.archiveDir);
+
+    // Write to a temporary file first, so an interrupted run never leaves a broken page
+    await fs.writeFile(`${filePath}.part`, await gzipAsync(html));
+    await fs.rename(`${filePath}.part`, filePath);
+
+    this.pages[key] = { fileName, fetchedAt: new Date().toISOString() };
+
+    // Queue index writes, so pages archived at the same time never write the file concurrently
+    const write = () => fs.writeFile(this.indexPath, `${JSON.stringify(this.pages, null, 2)}\n`);
+    this.saving = this.saving.then(write, write);
+    await this.saving;
+  }
+}
@@ -0,0 +1,225 @@
+// DRIVE2 shows dates in Moscow time
+export const DEFAULT_TIME_ZONE = 'Europe/Moscow';
+
+// Months by the first three letters of their names, so genitive ("января"), nominative ("январь") and abbreviated
+// ("янв.") forms are all recognized
+const MONTHS = {
+  'янв': 1, 'фев': 2, 'мар': 3, 'апр': 4, 'май': 5, 'мая': 5,
+  'июн': 6, 'июл': 7, 'авг': 8, 'сен': 9, 'окт': 10, 'ноя': 11, 'дек': 12
+};
+
+// Days before today of relative dates
+const RELATIVE_DAYS = { 'сегодня': 0, 'вчера': 1, 'позавчера': 2 };
+
+// Milliseconds per unit of dates like "5 минут назад"
+const RELATIVE_UNITS = [
+  { pattern: /^сек/, milliseconds: 1000 },
+  { pattern: /^мин/, milliseconds: 60 * 1000 },
+  { pattern: /^час/, milliseconds: 60 * 60 * 1000 },
+  { pattern: /^(день|дн)/, milliseconds: 24 * 60 * 60 * 1000 }
+];
+
+/**
+ * Pad a number with zeros
+ * @param {number} value - Number to pad
+ * @param {number} [length] - Length of the result
+ * @returns {string}
+ */
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+/**
+ * Get the wall clock date and time of a moment in a time zone
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone, e.g. Europe/Moscow
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getWallTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(part => {
+    if (part.type !== 'literal') values[part.type] = Number(part.value);
+  });
+
+  return values;
+}
+
+/**
+ * Get the UTC offset of a time zone at a moment
+ * @param {number} timestamp - Moment in milliseconds since epoch
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - Offset in minutes, e.g. 180 for +03:00
+ */
+function getOffsetMinutes(timestamp, timeZone) {
+  const wall = getWallTime(new Date(timestamp), timeZone);
+  const wallAsUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+
+  return Math.round((wallAsUtc - Math.floor(timestamp / 1000) * 1000) / 60000);
+}
+
+/**
+ * Format an offset as +HH:MM
+ * @param {number} minutes - Offset in minutes
+ * @returns {string}
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+/**
+ * Format a wall clock time of a time zone as an ISO timestamp with the offset the zone had at that time
+ * @param {Object} wall - Year, month, day, hour, minute and second
+ * @param {string} timeZone - IANA time zone
+ * @returns {string|null} - Timestamp like 2014-01-19T15:18:00+04:00, or null for an impossible date
+ */
+function formatWallTime(wall, timeZone) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = wall;
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Reject dates like February 30th instead of rolling them over
+  const check = new Date(wallAsUtc);
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+
+  // The offset depends on the moment itself, e.g. Moscow was +04:00 from 2011 to 2014
+  let offset = getOffsetMinutes(wallAsUtc, timeZone);
+  offset = getOffsetMinutes(wallAsUtc - offset * 60000, timeZone);
+
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${formatOffset(offset)}`;
+}
+
+/**
+ * Format a moment as an ISO timestamp in a time zone
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {string}
+ */
+function formatMoment(date, timeZone) {
+  return formatWallTime(getWallTime(date, timeZone), timeZone);
+}
+
+/**
+ * Get the number of a month from its Russian name
+ * @param {string} name - Month name in any form, e.g. "января", "январь", "янв"
+ * @returns {number|undefined} - Month from 1 to 12
+ */
+function getMonth(name) {
+  return MONTHS[name.slice(0, 3)];
+}
+
+/**
+ * Parses a DRIVE2 date into a full timestamp with the time zone offset
+ *
+ * Recognized forms:
+ * - machine-readable timestamps of datetime and itemprop="datePublished" attributes: "2014-01-19T14:41:06+04:00"
+ * - "19 января 2014 в 15:18", "19 января 2014", "19 янв. 2014", "январь 2014"
+ * - dates of the current year without one: "19 января в 15:18", dates in the future belong to the previous year
+ * - "19.01.2014", "19.01.2014 15:18", "19.01.14"
+ * - relative dates: "сегодня в 12:30", "вчера в 23:05", "позавчера", "5 минут назад", "час назад", or just "12:30"
+ * @param {string} text - Date as shown on DRIVE2
+ * @param {Object} [options] - Parsing options
+ * @param {Date} [options.now] - Current time relative dates are counted from
+ * @param {string} [options.timeZone] - IANA time zone of dates without an offset (default: Europe/Moscow)
+ * @returns {string|null} - Timestamp like 2014-01-19T15:18:00+04:00, or null if the text is not a date
+ */
+export function parseDate(text, options = {}) {
+  if (!text || typeof text !== 'string') return null;
+
+  const now = options.now || new Date();
+  const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+  const normalized = text.replace(/\u00a0/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+
+  // ISO timestamps keep their own offset, if any
+  const isoMatch = normalized.match(
+    /^(\d{4})-(\d{2})-(\d{2})(?:[t ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(z|[+-]\d{2}:?\d{2})?)?$/
+  );
+  if (isoMatch) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0, zone] = isoMatch;
+    const wall = { year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second };
+
+    if (!zone) {
+      return formatWallTime(wall, timeZone);
+    }
+
+    const timestamp = formatWallTime(wall, 'UTC');
+    const offset = zone === 'z' ? '+00:00' : zone.replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2');
+    return timestamp && timestamp.replace(/\+00:00$/, offset);
+  }
+
+  const today = getWallTime(now, timeZone);
+  const timeMatch = normalized.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  const time = timeMatch
+    ? { hour: +timeMatch[1], minute: +timeMatch[2], second: +(timeMatch[3] || 0) }
+    : { hour: 0, minute: 0, second: 0 };
+
+  // "5 минут назад", "час назад"
+  const agoMatch = normalized.match(/^(?:(\d+) )?([а-яё]+) назад$/);
+  if (agoMatch) {
+    const unit = RELATIVE_UNITS.find(({ pattern }) => pattern.test(agoMatch[2]));
+    if (unit) {
+      return formatMoment(new Date(now.getTime() - (+agoMatch[1] || 1) * unit.milliseconds), timeZone);
+    }
+  }
+
+  // "сегодня в 12:30", "вчера", "позавчера в 8:05"
+  const relativeWord = Object.keys(RELATIVE_DAYS).find(word => new RegExp(`(^|\\s)${word}(\\s|,|$)`).test(normalized));
+  if (relativeWord) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day - RELATIVE_DAYS[relativeWord]));
+    return formatWallTime({
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      ...time
+    }, timeZone);
+  }
+
+  // "19.01.2014", "19.01.14 в 15:18"
+  const dotMatch = normalized.match(/(?:^|\D)(\d{1,2})\.(\d{1,2})\.(\d{4}|\d{2})(?!\d)/);
+  if (dotMatch) {
+    const year = dotMatch[3].length === 2 ? 2000 + +dotMatch[3] : +dotMatch[3];
+    return formatWallTime({ year, month: +dotMatch[2], day: +dotMatch[1], ...time }, timeZone);
+  }
+
+  // "19 января 2014 в 15:18", "19 янв. 2014", "19 января"
+  const dayMonthMatch = normalized.match(/(?:^|\D)(\d{1,2}) ([а-яё]+)\.?(?: (\d{4}))?/);
+  const dayMonth = dayMonthMatch && getMonth(dayMonthMatch[2]);
+  if (dayMonth) {
+    const day = +dayMonthMatch[1];
+    let year = dayMonthMatch[3] ? +dayMonthMatch[3] : today.year;
+
+    // Dates without a year are of the last 12 months
+    if (!dayMonthMatch[3] && (dayMonth > today.month || (dayMonth === today.month && day > today.day))) {
+      year--;
+    }
+
+    return formatWallTime({ year, month: dayMonth, day, ...time }, timeZone);
+  }
+
+  // "январь 2014", "янв. 2014"
+  const monthYearMatch = normalized.match(/(?:^|\s)([а-яё]+)\.? (\d{4})(?!\d)/);
+  const month = monthYearMatch && getMonth(monthYearMatch[1]);
+  if (month) {
+    return formatWallTime({ year: +monthYearMatch[2], month, day: 1, ...time }, timeZone);
+  }
+
+  // Time alone is shown for posts of today
+  if (timeMatch && normalized === timeMatch[0]) {
+    return formatWallTime({ year: today.year, month: today.month, day: today.day, ...time }, timeZone);
+  }
+
+  return null;
+}
@@ -13,10 +13,15 @@ export class ProgressTracker {
     this.outputDir = outputDir;
     this.filePath = path.join(outputDir, '.progress.json');
     this.data = {
+      carUrl: null,
       reviewComplete: false,
-      processedPosts: []
+      processedPosts: [],
+      failedPosts: [],
+      assets: {},
+      cars: []
     };
     this.loaded = false;
+    this.saving = Promise.resolve();
   }
 
   /**
@@ -27,8 +32,12 @@ export class ProgressTracker {
     try {
       const data = await fs.readFile(this.filePath, 'utf8');
       const progress = JSON.parse(data);
+      this.data.carUrl = progress.carUrl || null;
       this.data.reviewComplete = progress.reviewComplete || false;
       this.data.processedPosts = progress.processedPosts || [];
+      this.data.failedPosts = progress.failedPosts || [];
+      this.data.assets = progress.assets || {};
+      this.data.cars = progress.cars || [];
       this.loaded = true;
       return true;
     } catch (error) {
@@ -43,7 +52,36 @@ export class ProgressTracker {
    * @returns {Promise<void>}
    */
   async save() {
-    await fs.writeFile(this.filePath, JSON.stringify(this.data, null, 2));
+    // Write to a temporary file first and rename it, so a crash in the middle of a write never corrupts the progress
+    const write = async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+      await fs.rename(tempPath, this.filePath);
+    };
+
+    // Queue writes, so posts finishing at the same time never write the file concurrently
+    this.saving = this.saving.then(write, write);
+    await this.saving;
+  }
+
+  /**
+   * Get the URL of the car saved into the output directory
+   * @returns {string|null}
+   */
+  getCarUrl() {
+    return this.data.carUrl;
+  }
+
+  /**
+   * Remember the URL of the car saved into the output directory
+   * @param {string} url - Car page URL
+   * @returns {Promise<void>}
+   */
+  async setCarUrl(url) {
+    if (this.data.carUrl !== url) {
+      this.data.carUrl = url;
+      await this.save();
+    }
   }
 
   /**
@@ -69,30 +107,205 @@ export class ProgressTracker {
    * @returns {boolean}
    */
   isPostProcessed(post) {
-    return this.data.processedPosts.some(p => p.link === post.link);
+    // Posts saved with some of their images missing, or removed from the site earlier, are processed again
+    return this.data.processedPosts.some(p => p.link === post.link && p.assetsComplete !== false && !p.removed);
+  }
+
+  /**
+   * Get the progress entry of a processed post
+   * @param {Object} post - Post to look up
+   * @returns {Object|undefined} - Entry with link, title, fileName, baseName and contentHash
+   */
+  getProcessedPost(post) {
+    return this.data.processedPosts.find(p => p.link === post.link && !p.removed);
   }
 
   /**
    * Mark a post as processed
    * @param {Object} post - Post that was processed
-   * @param {string} fileName - Filename where post was saved
+   * @param {string|null} fileName - Filename where post was saved
+   * @param {Object} [details] - Additional details
+   * @param {string} [details.baseName] - File name without extension, shared by all output formats
+   * @param {string} [details.contentHash] - Hash of the post content, used to detect edits
+   * @param {boolean} [details.assetsComplete] - False if some of the post images failed to download
+   * @param {Object} [details.metadata] - Date, category, mileage and cost used to build indexes
    * @returns {Promise<void>}
    */
-  async markPostProcessed(post, fileName) {
-    this.data.processedPosts.push({
+  async markPostProcessed(post, fileName, details = {}) {
+    const entry = {
       link: post.link,
       title: post.title,
-      fileName: fileName
-    });
+      fileName: fileName,
+      ...details.metadata
+    };
+
+    if (details.baseName) {
+      entry.baseName = details.baseName;
+    }
+
+    if (details.contentHash) {
+      entry.contentHash = details.contentHash;
+    }
+
+    if (details.assetsComplete === false) {
+      entry.assetsComplete = false;
+    }
+
+    // Replace the entry left by a previous run, if any
+    const index = this.data.processedPosts.findIndex(p => p.link === post.link);
+    if (index === -1) {
+      this.data.processedPosts.push(entry);
+    } else {
+      this.data.processedPosts[index] = entry;
+    }
+
+    // The post does not fail anymore
+    this.data.failedPosts = this.data.failedPosts.filter(p => p.link !== post.link);
+
     await this.save();
   }
 
+  /**
+   * Get posts that failed and have not been processed successfully since
+   * @returns {Array} - Entries with link, title, error message, number of failed attempts and time of the last one
+   */
+  getFailedPosts() {
+    return this.data.failedPosts;
+  }
+
+  /**
+   * Mark a post as failed, counting failed attempts across runs
+   * @param {Object} post - Post that failed
+   * @param {Error} error - Error the post failed with
+   * @returns {Promise<Object>} - Failed post entry
+   */
+  async markPostFailed(post, error) {
+    const previousEntry = this.data.failedPosts.find(p => p.link === post.link);
+    const entry = {
+      link: post.link,
+      title: post.title || previousEntry?.title || '',
+      error: error.message,
+      attempts: (previousEntry?.attempts || 0) + 1,
+      failedAt: new Date().toISOString()
+    };
+
+    if (previousEntry) {
+      this.data.failedPosts[this.data.failedPosts.indexOf(previousEntry)] = entry;
+    } else {
+      this.data.failedPosts.push(entry);
+    }
+
+    await this.save();
+    return entry;
+  }
+
+  /**
+   * Get processed posts that are missing from the current list of posts
+   * @param {Array} posts - All posts currently present on the site
+   * @returns {Array} - Progress entries of removed posts
+   */
+  getRemovedPosts(posts) {
+    const links = new Set(posts.map(post => post.link));
+    return this.data.processedPosts.filter(p => !p.removed && !links.has(p.link));
+  }
+
+  /**
+   * Mark a post as removed from the site
+   * @param {Object} post - Post or progress entry
+   * @returns {Promise<void>}
+   */
+  async markPostRemoved(post) {
+    const entry = this.data.processedPosts.find(p => p.link === post.link);
+    if (entry) {
+      entry.removed = true;
+      await this.save();
+    }
+  }
+
+  /**
+   * Get local path of a downloaded asset
+   * @param {string} url - Asset URL
+   * @returns {string|undefined} - Path relative to the output directory
+   */
+  getAsset(url) {
+    return this.data.assets[url];
+  }
+
+  /**
+   * Mark an asset as downloaded
+   * @param {string} url - Asset URL
+   * @param {string} assetPath - Path relative to the output directory
+   * @returns {Promise<void>}
+   */
+  async markAssetDownloaded(url, assetPath) {
+    this.data.assets[url] = assetPath;
+    await this.save();
+  }
+
+  /**
+   * Get the progress entry of a car crawled as part of a user profile
+   * @param {string} url - Car page URL
+   * @returns {Object|undefined} - Entry with url, title, dirName, complete flag and post counts
+   */
+  getCar(url) {
+    return this.data.cars.find(car => car.url === url);
+  }
+
+  /**
+   * Get all cars crawled as part of a user profile
+   * @returns {Array} - Car entries
+   */
+  getCars() {
+    return this.data.cars;
+  }
+
+  /**
+   * Mark a car of a user profile as crawled
+   * @param {Object} car - Car with url and title
+   * @param {Object} details - Crawl results
+   * @param {string} details.dirName - Sub-directory the car is saved into
+   * @param {boolean} details.complete - False if some posts failed, so the car is crawled again next time
+   * @param {number} [details.postsCount] - Number of posts found
+   * @param {number} [details.processedCount] - Number of posts saved, including previous runs
+   * @param {number} [details.failedCount] - Number of posts that failed
+   * @returns {Promise<void>}
+   */
+  async markCarProcessed(car, details) {
+    const entry = {
+      url: car.url,
+      title: car.title,
+      dirName: details.dirName,
+      complete: details.complete,
+      postsCount: details.postsCount ?? null,
+      processedCount: details.processedCount ?? null,
+      failedCount: details.failedCount ?? null
+    };
+
+    // Replace the entry left by a previous run, if any
+    const index = this.data.cars.findIndex(c => c.url === car.url);
+    if (index === -1) {
+      this.data.cars.push(entry);
+    } else {
+      this.data.cars[index] = entry;
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Get all processed posts, except removed ones
+   * @returns {Array} - Progress entries
+   */
+  getProcessedPosts() {
+    return this.data.processedPosts.filter(p => !p.removed);
+  }
+
   /**
    * Get number of processed posts
    * @returns {number}
    */
   getProcessedCount() {
-    return this.data.processedPosts.length;
+    return this.data.processedPosts.filter(p => p.assetsComplete !== false && !p.removed).length;
   }
 
   /**
@@ -0,0 +1,224 @@
+import { defaultLogger } from './logger.mjs';
+
+// HTTP statuses DRIVE2 answers with when it throttles requests
+const THROTTLING_STATUSES = [429, 503];
+
+// Texts of anti-bot and rate limit pages served instead of the requested one
+const BLOCK_PAGE_PATTERNS = [
+  /captcha|капч/i,
+  /too many requests/i,
+  /доступ\s+(временно\s+)?ограничен/i,
+  /вы\s+не\s+робот|подтвердите,\s+что\s+вы\s+(не\s+робот|человек)/i,
+  /ddos-guard|checking your browser|проверка браузера/i
+];
+
+// Elements of captcha widgets
+const BLOCK_PAGE_SELECTOR = '.g-recaptcha, .h-captcha, .smart-captcha, #captcha, iframe[src*="captcha"]';
+
+// Anti-bot pages are short, so only the beginning of the body is checked to avoid matching post content
+const BLOCK_PAGE_TEXT_LENGTH = 2000;
+
+// Content the crawler reads: posts, reviews, lists of posts, comments and cars of profiles. Pages showing it are never
+// block pages, even if a post mentions a captcha or limited access or has a captcha in its comment form
+const CONTENT_SELECTOR = [
+  '[itemprop="articleBody"]',
+  '[itemprop="reviewBody"]',
+  '.c-lb-list',
+  '[data-slot="logbook-search.container"]',
+  '.c-post-lcard',
+  '.c-comments',
+  'a.c-car-title'
+].join(', ');
+
+/**
+ * Error thrown when the site throttles requests or serves an anti-bot page instead of the requested one
+ */
+export class ThrottledError extends Error {
+  /**
+   * Create a throttling error
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {number} [details.status] - HTTP status of the response
+   * @param {number} [details.retryAfter] - Delay requested by the Retry-After header in milliseconds
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ThrottledError';
+    this.status = details.status ?? null;
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+/**
+ * Error thrown when the site answers with an HTTP error status other than throttling
+ */
+export class HttpError extends Error {
+  /**
+   * Create an HTTP error
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status of the response
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    // Server errors are often temporary, while a missing or forbidden page stays so
+    this.retryable = status >= 500;
+  }
+}
+
+/**
+ * Calculates an exponential backoff delay with jitter
+ * @param {number} attempt - Number of the failed attempt, starting from 1
+ * @param {number} baseDelay - Delay after the first failed attempt in milliseconds
+ * @param {number} [maxDelay] - Maximum delay in milliseconds
+ * @returns {number} - Delay in milliseconds, between half and the full exponential delay
+ */
+export function getBackoffDelay(attempt, baseDelay, maxDelay = Infinity) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+
+  // Random jitter keeps parallel pages from retrying at the same moment
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Parse the Retry-After header
+ * @param {string|undefined} value - Header value, either seconds or an HTTP date
+ * @returns {number|null} - Delay in milliseconds, or null if there is none
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Checks a loaded page for HTTP errors and signs of throttling: HTTP status and known block pages
+ *
+ * Block page texts and captchas are only looked for on pages without DRIVE2 content, so a post mentioning a captcha
+ * is never taken for one.
+ * @param {Object} page - Puppeteer page object
+ * @param {Object|null} response - Puppeteer response of the navigation
+ * @returns {Promise<void>}
+ * @throws {ThrottledError} - If the site throttles requests
+ * @throws {HttpError} - If the site answers with another status outside 2xx
+ */
+export async function checkThrottling(page, response) {
+  const status = response ? response.status() : null;
+
+  if (THROTTLING_STATUSES.includes(status)) {
+    const retryAfter = parseRetryAfter(response.headers()['retry-after']);
+    throw new ThrottledError(`Site answered with HTTP ${status}`, { status, retryAfter });
+  }
+
+  // Error pages render fine but are not the requested content, redirects are already followed by the browser
+  if (status && (status < 200 || status > 299)) {
+    throw new HttpError(`Site answered with HTTP ${status}`, status);
+  }
+
+  const blockPage = await page.evaluate((contentSelector, captchaSelector, textLength) => ({
+    hasContent: Boolean(document.querySelector(contentSelector)),
+    title: document.title,
+    text: (document.body?.innerText || '').slice(0, textLength),
+    hasCaptcha: Boolean(document.querySelector(captchaSelector))
+  }), CONTENT_SELECTOR, BLOCK_PAGE_SELECTOR, BLOCK_PAGE_TEXT_LENGTH);
+
+  if (blockPage.hasContent) return;
+
+  if (blockPage.hasCaptcha || BLOCK_PAGE_PATTERNS.some(pattern =>
+    pattern.test(blockPage.title) || pattern.test(blockPage.text))) {
+    throw new ThrottledError(`Site served an anti-bot page: ${blockPage.title || 'no title'}`, { status });
+  }
+}
+
+/**
+ * Class to keep requests under a rate limit, shared by all pages of a run
+ *
+ * The limit adapts to the site: every time it throttles, requests are paused with an exponential backoff and the
+ * delay between them is doubled, then the delay goes back down while requests succeed.
+ */
+export class RateLimiter {
+  /**
+   * Create a rate limiter
+   * @param {Object} options - Rate limiter options
+   * @param {number} [options.delay] - Minimum delay between requests in milliseconds
+   * @param {number} [options.requestsPerMinute] - Maximum number of requests per minute, overrides the delay
+   * @param {number} [options.pauseDelay] - Pause after the site starts throttling in milliseconds
+   * @param {number} [options.maxPauseDelay] - Maximum pause in milliseconds
+   * @param {number} [options.maxDelay] - Maximum delay between requests the limiter slows down to in milliseconds
+   * @param {Object} [options.logger] - Logger created by createLogger
+   */
+  constructor(options = {}) {
+    this.baseDelay = options.requestsPerMinute ? Math.ceil(60000 / options.requestsPerMinute) : options.delay ?? 2000;
+    this.delay = this.baseDelay;
+    this.pauseDelay = options.pauseDelay ?? 30000;
+    this.maxPauseDelay = options.maxPauseDelay ?? 600000;
+    this.maxDelay = Math.max(this.baseDelay, options.maxDelay ?? 60000);
+    this.nextRequestAt = 0;
+    this.pausedUntil = 0;
+    this.throttledCount = 0;
+    this.logger = options.logger || defaultLogger;
+  }
+
+  /**
+   * Wait until the next request is allowed
+   * @returns {Promise<void>}
+   */
+  async wait() {
+    // Callers whose slot falls into a pause started while they were waiting queue up again after it
+    do {
+      const now = Date.now();
+
+      // Reserve the next free slot right away, so concurrent callers queue up behind each other
+      const requestAt = Math.max(now, this.nextRequestAt);
+      this.nextRequestAt = requestAt + this.delay;
+
+      if (requestAt > now) {
+        await new Promise(resolve => setTimeout(resolve, requestAt - now));
+      }
+    } while (Date.now() < this.pausedUntil);
+
+    if (this.pausedUntil) {
+      this.pausedUntil = 0;
+      this.logger.info(`Resuming requests, one every ${(this.delay / 1000).toFixed(1)}s`);
+    }
+  }
+
+  /**
+   * Report a successful request, so the delay between requests goes back to normal
+   */
+  reportSuccess() {
+    this.throttledCount = 0;
+
+    if (this.delay > this.baseDelay) {
+      this.delay = Math.max(this.baseDelay, Math.round(this.delay * 0.9));
+    }
+  }
+
+  /**
+   * Report that the site throttled a request, pausing all requests and slowing them down
+   * @param {ThrottledError} [error] - Throttling error, its Retry-After delay is respected
+   * @returns {number} - Pause in milliseconds
+   */
+  reportThrottled(error) {
+    this.throttledCount++;
+    this.delay = Math.min(this.maxDelay, Math.max(1000, this.delay * 2));
+
+    const backoff = getBackoffDelay(this.throttledCount, this.pauseDelay, this.maxPauseDelay);
+    const pause = Math.max(error?.retryAfter || 0, backoff);
+    const pausedUntil = Date.now() + pause;
+
+    // Parallel pages may report the same throttling, the longest pause wins
+    if (pausedUntil > this.pausedUntil) {
+      this.pausedUntil = pausedUntil;
+      this.nextRequestAt = Math.max(this.nextRequestAt, pausedUntil);
+      this.logger.warn(`Site is throttling requests, pausing for ${Math.round(pause / 1000)}s`);
+    }
+
+    return pause;
+  }
+}
@@ -0,0 +1,102 @@
+import { promises as fs } from 'fs';
+
+import { createSafeFilename } from './utils.mjs';
+
+/**
+ * Split a CSV line into cells, supporting quoted cells and comma, semicolon or tab separators
+ * @param {string} line - CSV line
+ * @returns {Array<string>} - Trimmed cells
+ */
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',' || char === ';' || char === '\t') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Create a default folder name from a car or user profile URL
+ * @param {string} url - DRIVE2 URL, e.g. https://www.drive2.ru/r/toyota/chaser/288230376151952785/
+ * @returns {string} - Folder name, e.g. toyota-chaser-288230376151952785
+ */
+export function getDefaultDirName(url) {
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+
+  // Car pages start with /r/, user profiles with /users/
+  if (['r', 'users'].includes(segments[0])) {
+    segments.shift();
+  }
+
+  return createSafeFilename(segments.join('-'));
+}
+
+/**
+ * Reads a list of URLs to crawl from a text or CSV file
+ *
+ * Every line has a URL and an optional output folder name, separated by a comma, semicolon or tab. Empty lines, lines
+ * starting with # and a header line without a URL are skipped.
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Array<{url: string, dirName: string, line: number}>>} - URLs with their output folder names
+ */
+export async function readInputFile(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to read input file ${filePath}: ${error.message}`);
+  }
+
+  const entries = [];
+  let headerSkipped = false;
+
+  // Strip the byte order mark spreadsheet applications add to exported CSV files
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const [url, dirName] = splitCsvLine(trimmed);
+
+    if (!/^https?:\/\//i.test(url)) {
+      // A header row like "url,folder" is allowed before the first URL
+      if (entries.length === 0 && !headerSkipped) {
+        headerSkipped = true;
+        return;
+      }
+      throw new Error(`Invalid URL on line ${index + 1} of ${filePath}: ${url}`);
+    }
+
+    entries.push({
+      url,
+      dirName: dirName ? createSafeFilename(dirName) : getDefaultDirName(url),
+      line: index + 1
+    });
+  });
+
+  return entries;
+}
@@ -1,5 +1,9 @@
 import { promises as fs } from 'fs';
 
+import { defaultLogger } from './logger.mjs';
+import { parseDate } from './parseDate.mjs';
+import { HttpError, ThrottledError, checkThrottling, getBackoffDelay } from './rateLimiter.mjs';
+
 /**
  * Creates a directory if it doesn't exist
  * @param {string} dirPath - Path to the directory
@@ -24,22 +28,34 @@ export function getBrowserConfig() {
   };
 }
 
+// Defaults of the request settings that can be changed in the config file or by flags
+export const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+  'Chrome/96.0.4664.110 Safari/537.36';
+export const DEFAULT_TIMEOUT = 90000; // 1.5 minutes
+export const DEFAULT_MAX_RETRIES = 3;
+export const DEFAULT_RETRY_DELAY = 3000;
+
 /**
  * Gets common page configuration settings
+ * @param {Object} [settings] - Request settings
+ * @param {string} [settings.userAgent] - User-Agent header
+ * @param {number} [settings.timeout] - Navigation timeout in milliseconds
  * @returns {Object} - Configuration for page setup
  */
-export function getPageConfig() {
+export function getPageConfig(settings = {}) {
+  const navigationTimeout = settings.timeout || DEFAULT_TIMEOUT;
+
   return {
-    timeout: 120000, // 2 minutes
+    timeout: Math.max(120000, navigationTimeout), // 2 minutes or the navigation timeout if longer
     headers: {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/96.0.4664.110 Safari/537.36',
+      'User-Agent': settings.userAgent || DEFAULT_USER_AGENT,
       'Accept-Language': 'en-US,en;q=0.9',
       'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
       'Cache-Control': 'max-age=0'
     },
     navigationOptions: {
       waitUntil: 'domcontentloaded',
-      timeout: 90000 // 1.5 minutes
+      timeout: navigationTimeout
     }
   };
 }
@@ -48,112 +64,225 @@ export function getPageConfig() {
  * Navigates to a URL with retry logic
  * @param {Object} page - Puppeteer page object
  * @param {string} url - URL to navigate to
- * @param {Object} options - Navigation options
+ * @param {Object} options - Navigation options, passed to page.goto
+ * @param {number} [options.maxRetries] - Number of attempts
+ * @param {number} [options.retryDelay] - Delay after the first failed attempt, doubled after every next one
+ * @param {number} [options.timeout] - Navigation timeout in milliseconds
+ * @param {RateLimiter} [options.rateLimiter] - Rate limiter to wait for before attempts and to report throttling to
+ * @param {Object} [options.logger] - Logger created by createLogger
  * @returns {Promise<boolean>} - Success status
+ * @throws {Error} - If every attempt failed, or at once with HttpError for 4xx statuses
  */
 export async function navigateWithRetry(page, url, options = {}) {
+  const {
+    maxRetries = DEFAULT_MAX_RETRIES,
+    retryDelay = DEFAULT_RETRY_DELAY,
+    rateLimiter,
+    timeout,
+    logger = defaultLogger,
+    ...gotoOptions
+  } = options;
   const navigationOptions = {
-    ...getPageConfig().navigationOptions,
-    ...options
+    ...getPageConfig({ timeout }).navigationOptions,
+    ...gotoOptions
   };
 
-  const maxRetries = options.maxRetries || 3;
-  const retryDelay = options.retryDelay || 3000;
-
-  let retries = maxRetries;
-  let success = false;
   let lastError;
 
-  while (retries > 0 && !success) {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    if (rateLimiter) {
+      await rateLimiter.wait();
+    }
+
     try {
-      console.log(`Navigating to ${url} (${retries} attempts left)...`);
-      await page.goto(url, navigationOptions);
-      success = true;
+      logger.info(`Navigating to ${url} (${maxRetries - attempt + 1} attempts left)...`);
+      const response = await page.goto(url, navigationOptions);
+
+      // Never treat an error, rate limit or anti-bot page as the requested one
+      await checkThrottling(page, response);
+
+      rateLimiter?.reportSuccess();
+      return true;
     } catch (error) {
       lastError = error;
-      console.log(`Navigation failed: ${error.message}. Retrying...`);
-      retries--;
-      // Wait before retrying
-      await new Promise(resolve => setTimeout(resolve, retryDelay));
+      logger.warn(`Navigation failed: ${error.message}`);
+
+      // Retrying a missing or forbidden page would only get the same answer
+      if (attempt === maxRetries || (error instanceof HttpError && !error.retryable)) break;
+
+      if (error instanceof ThrottledError && rateLimiter) {
+        // The rate limiter pauses all pages, the next wait() lasts until the pause is over
+        rateLimiter.reportThrottled(error);
+      } else {
+        const delay = error.retryAfter ?? getBackoffDelay(attempt, retryDelay);
+        logger.info(`Retrying in ${(delay / 1000).toFixed(1)}s...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
     }
   }
 
-  if (!success) {
-    throw lastError || new Error('Failed to navigate to page after multiple attempts');
+  throw lastError || new Error('Failed to navigate to page after multiple attempts');
+}
+
+/**
+ * Opens a new page configured for crawling
+ * @param {Object} browser - Puppeteer browser object
+ * @param {Object} options - Extraction options
+ * @param {Object} [options.fixtures] - FixtureStore to load pages from instead of the live site
+ * @param {string} [options.userAgent] - User-Agent header
+ * @param {number} [options.timeout] - Navigation timeout in milliseconds
+ * @returns {Promise<Object>} - Puppeteer page object
+ */
+export async function setupPage(browser, options = {}) {
+  const pageConfig = getPageConfig(options);
+
+  // Open a new page
+  const page = await browser.newPage();
+
+  // Set a longer timeout for navigation
+  page.setDefaultNavigationTimeout(pageConfig.timeout);
+
+  if (options.fixtures) {
+    // Saved pages are parsed as is, without running their scripts or loading any resources
+    await page.setJavaScriptEnabled(false);
+    await page.setRequestInterception(true);
+    page.on('request', request => request.abort());
+  } else {
+    // Add headers to make requests more browser-like
+    await page.setExtraHTTPHeaders(pageConfig.headers);
   }
 
-  return success;
+  return page;
 }
 
 /**
- * Converts HTML to Markdown
- * @param {string} html - HTML content to convert
- * @param {string} baseUrl - Base URL for resolving relative URLs
- * @returns {string} - Markdown content
+ * Loads a URL into the page, either from the live site or from saved fixtures
+ * @param {Object} page - Puppeteer page object created by setupPage
+ * @param {string} url - URL to load
+ * @param {Object} options - Extraction options
+ * @param {Object} [options.fixtures] - FixtureStore to load pages from instead of the live site
+ * @param {RateLimiter} [options.rateLimiter] - Rate limiter shared by all pages
+ * @param {number} [options.maxRetries] - Number of navigation attempts
+ * @param {number} [options.retryDelay] - Delay after the first failed attempt in milliseconds
+ * @param {number} [options.timeout] - Navigation timeout in milliseconds
+ * @param {Object} [options.logger] - Logger created by createLogger
+ * @returns {Promise<boolean>} - Success status
  */
-export function convertHtmlToMarkdown(html, baseUrl) {
-  // Handle figure elements with images and captions
-  html = html.replace(/<figure class="c-post__pic[^"]*"[^>]*>[\s\S]*?(?:<img[^>]*src="([^"]*)"[^>]*>|<x-img[^>]*>[\s\S]*?<img[^>]*src="([^"]*)"[^>]*>)[\s\S]*?<figcaption class="c-post__desc"[^>]*>([\s\S]*?)<\/figcaption>[\s\S]*?<\/figure>/g,
-    (match, src1, src2, caption) => {
-      const imgSrc = src1 || src2; // Use whichever source was captured
-      const captionText = caption.trim();
-      return `\n\n![${captionText}](${imgSrc})\n\n*${captionText}*\n\n`;
-    }
-  );
-
-  // Handle figure elements with images but WITHOUT captions
-  html = html.replace(/<figure class="c-post__pic[^"]*"[^>]*>[\s\S]*?(?:<img[^>]*src="([^"]*)"[^>]*>|<x-img[^>]*>[\s\S]*?<img[^>]*src="([^"]*)"[^>]*alt="([^"]*)"[^>]*>)[\s\S]*?<\/figure>/g,
-    (match, src1, src2, alt) => {
-      const imgSrc = src1 || src2; // Use whichever source was captured
-      const altText = alt ? alt.trim() : "Image";
-      return `\n\n![${altText}](${imgSrc})\n\n`;
+export async function loadPage(page, url, options = {}) {
+  if (!options.fixtures) {
+    const { rateLimiter, maxRetries, retryDelay, timeout, logger } = options;
+    return navigateWithRetry(page, url, { rateLimiter, maxRetries, retryDelay, timeout, logger });
+  }
+
+  (options.logger || defaultLogger).info(`Loading ${url} from saved fixtures...`);
+  const html = await options.fixtures.read(url);
+  await page.setContent(html, { waitUntil: 'domcontentloaded' });
+
+  return true;
+}
+
+/**
+ * Runs an async function for every item, with at most N of them in progress at the same time
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of items processed in parallel
+ * @param {Function} callback - Async function receiving the item and its index
+ * @returns {Promise<void>}
+ */
+export async function forEachConcurrently(items, concurrency, callback) {
+  let nextIndex = 0;
+
+  // Each worker picks the next unprocessed item until none are left
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      await callback(items[index], index);
     }
-  );
-
-  return html
-    // Handle paragraphs
-    .replace(/<p>(.*?)<\/p>/gs, '$1\n\n')
-
-    // Handle line breaks
-    .replace(/<br\s*\/?>/g, '\n')
-
-    // Handle formatting
-    .replace(/<strong>(.*?)<\/strong>/gs, '**$1**')
-    .replace(/<em>(.*?)<\/em>/gs, '*$1*')
-    .replace(/<del>(.*?)<\/del>/gs, '~~$1~~')
-
-    // Handle links - convert relative URLs to absolute
-    .replace(/<a[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gs, (match, url, text) => {
-      // Check if it's a relative URL and make it absolute
-      if (url && !url.startsWith('http') && !url.startsWith('#') && !url.startsWith('mailto:')) {
-        // Handle URLs that start with / or without /
-        if (url.startsWith('/')) {
-          url = `${baseUrl}${url}`;
-        } else {
-          url = `${baseUrl}/${url}`;
-        }
-      }
-      return `[${text}](${url})`;
-    })
-
-    // Handle lists
-    .replace(/<li>(.*?)<\/li>/gs, '- $1\n')
-    .replace(/<ul[^>]*>/g, '')
-    .replace(/<\/ul>/g, '\n')
-
-    // Remove other HTML tags
-    .replace(/<[^>]*>/g, '')
-
-    // Fix HTML entities
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-
-    // Clean up extra whitespace
-    .replace(/\n{3,}/g, '\n\n')
-    .trim();
+  };
+
+  const workersCount = Math.min(Math.max(1, concurrency), items.length);
+  await Promise.all(Array.from({ length: workersCount }, worker));
+}
+
+/**
+ * Parses a number from a DRIVE2 text like "2 225 ₽", "Пробег: 244 292 км" or "1,2K"
+ * @param {string} text - Text containing a number
+ * @returns {number|null} - Parsed number or null if there is none
+ */
+export function parseNumber(text) {
+  if (!text) return null;
+
+  // Digits may be grouped with regular, non-breaking or thin spaces, or with commas as in "$1,500"
+  const match = String(text)
+    .match(/(\d[\d\s\u00a0\u2009\u202f]*(?:,\d{3}(?!\d))*(?:[.,]\d+)?)\s*(k|к|тыс)?(?![a-zа-яё])/i);
+  if (!match) return null;
+
+  // A comma followed by exactly three digits separates thousands, any other one is a decimal comma like in "1,2K"
+  const digits = match[1].replace(/[\s\u00a0\u2009\u202f]/g, '').replace(/,(?=\d{3}(?!\d))/g, '');
+  const number = parseFloat(digits.replace(',', '.'));
+  return match[2] ? Math.round(number * 1000) : number;
+}
+
+// Currency codes by the symbols and words DRIVE2 uses in prices, Belarusian rubles ("бел. руб.") go before Russian ones
+const CURRENCIES = [
+  { code: 'BYN', pattern: /бел\.?\s*р|byn|byr/i },
+  { code: 'RUB', pattern: /₽|руб|(^|\s)р\.|rub/i },
+  { code: 'UAH', pattern: /₴|грн|uah/i },
+  { code: 'KZT', pattern: /₸|тенге|тг\.?$|kzt/i },
+  { code: 'USD', pattern: /\$|usd|долл/i },
+  { code: 'EUR', pattern: /€|eur|евро/i },
+  { code: 'GBP', pattern: /£|gbp/i }
+];
+
+// Kilometers in a mile
+const KM_PER_MILE = 1.609344;
+
+// Mileage in miles: "миль", "мили", "mi" or "miles", DRIVE2 shows kilometers otherwise
+export const MILES_REGEX = /мил[ьяи]|\bmi(les?)?\b/i;
+
+// Mileage in kilometers or miles, telling it apart from other numbers
+export const MILEAGE_UNIT_REGEX = new RegExp(`км|${MILES_REGEX.source}`, 'i');
+
+/**
+ * Parses a price, e.g. "Цена вопроса: 15 000 ₽"
+ * @param {string} text - Price text
+ * @returns {{amount: number, currency: string|null}|null} - Amount and ISO currency code, null if there is no number
+ */
+export function parseCost(text) {
+  const amount = parseNumber(text);
+  if (amount === null) return null;
+
+  const currency = CURRENCIES.find(({ pattern }) => pattern.test(text));
+
+  return { amount, currency: currency ? currency.code : null };
+}
+
+/**
+ * Parses a mileage, e.g. "Пробег: 123 456 км" or "76 543 миль"
+ * @param {string} text - Mileage text
+ * @returns {{value: number, unit: string, km: number}|null} - Value in its own unit (km or mi) and in kilometers,
+ *   null if there is no number
+ */
+export function parseMileage(text) {
+  const value = parseNumber(text);
+  if (value === null) return null;
+
+  // DRIVE2 shows kilometers unless the owner prefers miles
+  const unit = MILES_REGEX.test(text) ? 'mi' : 'km';
+
+  return { value, unit, km: unit === 'mi' ? Math.round(value * KM_PER_MILE) : value };
+}
+
+/**
+ * Encodes a relative file path for use as a Markdown link target
+ * @param {string} filePath - Path with forward slashes
+ * @returns {string} - Path with spaces and parentheses encoded
+ */
+export function encodeMarkdownPath(filePath) {
+  return filePath
+    .replace(/%/g, '%25')
+    .replace(/ /g, '%20')
+    .replace(/\(/g, '%28')
+    .replace(/\)/g, '%29');
 }
 
 /**
@@ -162,46 +291,27 @@ export function convertHtmlToMarkdown(html, baseUrl) {
  * @returns {string} - Safe filename
  */
 export function createSafeFilename(title) {
-  return title.replace(/[/\\?%*:|"<>]/g, '-').trim();
+  const safeTitle = title
+    .replace(/[/\\?%*:|"<>]/g, '-')
+    // Remove control characters
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    // Trailing dots and spaces are dropped by Windows
+    .replace(/[. ]+$/, '');
+
+  if (!safeTitle) return 'untitled';
+
+  // Device names reserved by Windows, with or without extension
+  return /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i.test(safeTitle) ? `${safeTitle}_` : safeTitle;
 }
 
 /**
  * Format date from various formats to YYYY-MM-DD
- * @param {string} dateStr - Date string in various formats
+ * @param {string} dateStr - Date string in any format recognized by parseDate
  * @returns {string} - Date in YYYY-MM-DD format or 'unknown-date' if invalid
  */
 export function formatDate(dateStr) {
-  if (!dateStr) return 'unknown-date';
-
-  // Try to parse ISO date format first (YYYY-MM-DDTHH:MM:SS+HH:MM)
-  const isoMatch = dateStr.match(/^(\d{4}-\d{2}-\d{2})/);
-  if (isoMatch && isoMatch[1]) {
-    return isoMatch[1]; // Already in YYYY-MM-DD format
-  }
-
-  // Try DD.MM.YYYY format
-  const dotMatch = dateStr.match(/(\d{2})\.(\d{2})\.(\d{4})/);
-  if (dotMatch) {
-    return `${dotMatch[3]}-${dotMatch[2]}-${dotMatch[1]}`;
-  }
-
-  // Try to extract date from Russian format like "19 января 2014 в 15:18"
-  const russianMonths = {
-    'января': '01', 'февраля': '02', 'марта': '03', 'апреля': '04',
-    'мая': '05', 'июня': '06', 'июля': '07', 'августа': '08',
-    'сентября': '09', 'октября': '10', 'ноября': '11', 'декабря': '12'
-  };
-
-  const russianMatch = dateStr.match(/(\d{1,2})\s+([а-яА-Я]+)\s+(\d{4})/);
-  if (russianMatch) {
-    const day = russianMatch[1].padStart(2, '0');
-    const month = russianMonths[russianMatch[2].toLowerCase()];
-    const year = russianMatch[3];
-
-    if (month) {
-      return `${year}-${month}-${day}`;
-    }
-  }
-
-  return 'unknown-date';
+  const timestamp = parseDate(dateStr);
+  return timestamp ? timestamp.slice(0, 10) : 'unknown-date';
 }
@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { parse } from 'node-html-parser';
+
+import { convertHtmlToMarkdown } from '../src/convertHtmlToMarkdown.mjs';
+
+const BASE_URL = 'https://www.drive2.ru';
+
+// Content of the saved blog post, as extractBlogPost reads it from the page
+const page = parse(readFileSync(new URL('../html/blogPage.html', import.meta.url), 'utf8'));
+const postHtml = page.querySelector('div[itemprop="articleBody"]').innerHTML;
+
+// Rich content the saved post does not have, appended to it
+const richHtml = `
+<h2>Подключение</h2>
+<ol><li>Снять бардачок</li><li>Подключить <b>AUX</b><ul><li>Левый канал</li><li>Правый канал</li></ul></li></ol>
+<p>1. Не список</p>
+<iframe src="//www.youtube.com/embed/dQw4w9WgXcQ" title="Установка"></iframe>
+<iframe data-src="https://vk.com/video_ext.php?oid=-12345&id=456239017&hash=abc"></iframe>
+<iframe src="https://maps.example.com/embed?x=1"></iframe>
+<div class="c-post-parts">
+  <div class="c-post-parts__title">Запчасти на фото:</div>
+  <div class="c-part-card">
+    <a class="c-part-card__title" href="/parts/123/">Свеча зажигания</a>
+    <span class="c-part-card__number">K20TT</span>
+    <span class="c-part-card__price">500 ₽</span>
+  </div>
+</div>
+<x-poll data-id="5"></x-poll>`;
+
+describe('convertHtmlToMarkdown', () => {
+  const warnings = [];
+  const markdown = convertHtmlToMarkdown(`${postHtml}${richHtml}`, BASE_URL, { warnings });
+
+  it('keeps paragraphs and formatting of the saved post', () => {
+    assert.ok(markdown.startsWith('♬ ***Black Sabbath — Voodoo***\n\nСалют, дамы и господа!\n\n'));
+    assert.match(markdown, /\*\*Линейный аудиовход\*\*, или просто \*\*AUX\*\*/);
+  });
+
+  it('resolves links against the base URL', () => {
+    assert.match(markdown, /\[попал в мои руки\]\(https:\/\/www\.drive2\.ru\/p\/cjr\/BAAAAAADrZEEAAAAAAyJPg\)/);
+  });
+
+  it('renders figures as images with captions', () => {
+    assert.ok(markdown.includes('![Картинка для привлечения внимания](https://a.d-cd.net/81a14a4s-960.jpg)\n\n' +
+      '*Картинка для привлечения внимания*'));
+    assert.equal(markdown.match(/!\[[^\]]*\]\(https:\/\/a\.d-cd\.net\//g).length, 8);
+  });
+
+  it('shifts headings one level down', () => {
+    assert.match(markdown, /^### Подключение$/m);
+  });
+
+  it('renders nested lists', () => {
+    assert.match(markdown, /^1\. Снять бардачок\n2\. Подключить \*\*AUX\*\*\n {3}- Левый канал\n {3}- Правый канал$/m);
+  });
+
+  it('escapes block markers at the start of text', () => {
+    assert.match(markdown, /^1\\\. Не список$/m);
+  });
+
+  it('renders embedded videos as links with thumbnails', () => {
+    assert.ok(markdown.includes('\n\n[![Установка](https://img.youtube.com/vi/dQw4w9WgXcQ/hqdefault.jpg)]' +
+      '(https://www.youtube.com/watch?v=dQw4w9WgXcQ)\n\n'));
+    assert.ok(markdown.includes('\n\n[VK video](https://vk.com/video-12345_456239017)\n\n'));
+  });
+
+  it('renders parts lists as tables', () => {
+    assert.ok(markdown.includes([
+      '**Запчасти на фото:**',
+      '',
+      '| Part | Part number | Price |',
+      '| --- | --- | --- |',
+      '| [Свеча зажигания](https://www.drive2.ru/parts/123/) | K20TT | 500 ₽ |'
+    ].join('\n')));
+  });
+
+  it('warns about unrecognised elements', () => {
+    assert.deepEqual(warnings, [
+      'Unrecognised embed https://maps.example.com/embed?x=1, kept as a link',
+      'Unrecognised element <x-poll> skipped'
+    ]);
+    assert.ok(markdown.includes('\n\n[https://maps.example.com/embed?x=1](https://maps.example.com/embed?x=1)\n\n'));
+  });
+
+  it('has no warnings for the saved post alone', () => {
+    const postWarnings = [];
+    convertHtmlToMarkdown(postHtml, BASE_URL, { warnings: postWarnings });
+    assert.deepEqual(postWarnings, []);
+  });
+});
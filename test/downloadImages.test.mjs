@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { downloadImages } from '../src/downloadImages.mjs';
+import { createLogger } from '../src/logger.mjs';
+
+describe('downloadImages', () => {
+  let outputDir;
+
+  // Images downloaded during a previous run
+  const assets = {
+    'https://a.d-cd.net/oil-960.jpg': 'assets/Oil/oil-960.jpg',
+    'https://a.d-cd.net/filter-960.jpg': 'assets/Oil/filter-960.jpg'
+  };
+  const progress = { getAsset: url => assets[url] || null };
+
+  before(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'drive2-images-'));
+    await fs.mkdir(path.join(outputDir, 'assets', 'Oil'), { recursive: true });
+    await Promise.all(Object.values(assets).map(assetPath => fs.writeFile(path.join(outputDir, assetPath), '')));
+  });
+
+  after(() => fs.rm(outputDir, { recursive: true, force: true }));
+
+  it('links downloaded images, including ones with escaped brackets in captions', async () => {
+    const markdown = [
+      '![Масло](https://a.d-cd.net/oil-960.jpg)',
+      '![Фильтр \\[старый\\]](https://a.d-cd.net/filter-960.jpg)',
+      '![Новое](https://a.d-cd.net/new-960.jpg)'
+    ].join('\n\n');
+
+    const result = await downloadImages(markdown, {
+      outputDir,
+      assetsName: 'Oil',
+      progress,
+      offline: true,
+      logger: createLogger({ level: 'silent' })
+    });
+
+    assert.equal(result.markdown, [
+      '![Масло](assets/Oil/oil-960.jpg)',
+      '![Фильтр \\[старый\\]](assets/Oil/filter-960.jpg)',
+      '![Новое](https://a.d-cd.net/new-960.jpg)'
+    ].join('\n\n'));
+    assert.deepEqual(result.assets, assets);
+  });
+});
@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { NDJSON_FILE_NAME, saveOutputs } from '../src/exporters.mjs';
+
+describe('saveOutputs', () => {
+  let outputDir;
+
+  const readRecords = async () => (await fs.readFile(path.join(outputDir, NDJSON_FILE_NAME), 'utf8'))
+    .split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+  const save = record => saveOutputs({ outputDir, baseName: 'post', markdown: '', record, formats: ['ndjson'] });
+
+  before(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'drive2-exporters-'));
+  });
+
+  after(() => fs.rm(outputDir, { recursive: true, force: true }));
+
+  it('keeps a single NDJSON record per URL, in its place', async () => {
+    assert.equal(await save({ url: 'https://www.drive2.ru/l/1/', title: 'Первый' }), null);
+    await save({ url: 'https://www.drive2.ru/l/2/', title: 'Второй' });
+    await save({ url: 'https://www.drive2.ru/l/1/', title: 'Первый, обновлённый' });
+
+    assert.deepEqual((await readRecords()).map(record => record.title), ['Первый, обновлённый', 'Второй']);
+  });
+
+  it('drops duplicates appended earlier', async () => {
+    const duplicate = `${JSON.stringify({ url: 'https://www.drive2.ru/l/2/', title: 'Второй' })}\n`;
+    await fs.appendFile(path.join(outputDir, NDJSON_FILE_NAME), duplicate);
+    await save({ url: 'https://www.drive2.ru/l/2/', title: 'Второй, обновлённый' });
+
+    assert.deepEqual((await readRecords()).map(record => record.title), ['Первый, обновлённый', 'Второй, обновлённый']);
+  });
+
+  it('keeps the records of posts saved at the same time', async () => {
+    const links = ['3', '4', '5', '6'].map(id => `https://www.drive2.ru/l/${id}/`);
+    await Promise.all(links.map(url => save({ url, title: url })));
+
+    assert.deepEqual((await readRecords()).map(record => record.url), [
+      'https://www.drive2.ru/l/1/',
+      'https://www.drive2.ru/l/2/',
+      ...links
+    ]);
+  });
+});
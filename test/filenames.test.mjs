@@ -0,0 +1,28 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { FilenameGenerator } from '../src/filenames.mjs';
+
+describe('FilenameGenerator', () => {
+  it('fills in the template', () => {
+    const generator = new FilenameGenerator({ template: '{date}-{id}-{slug}', transliterate: true });
+    const post = { link: 'https://www.drive2.ru/l/2790417/', title: 'Замена масла', date: '19 января 2014' };
+
+    assert.equal(generator.generate(post), '2014-01-19-2790417-zamena-masla');
+  });
+
+  it('appends the post ID to names already taken', () => {
+    const generator = new FilenameGenerator({ template: '{title}' });
+
+    assert.equal(generator.generate({ link: 'https://www.drive2.ru/l/1/', title: 'Замена масла' }), 'Замена масла');
+    assert.equal(generator.generate({ link: 'https://www.drive2.ru/l/2/', title: 'Замена масла' }), 'Замена масла (2)');
+  });
+
+  it('never gives posts the names of the generated files', () => {
+    const generator = new FilenameGenerator({ template: '{title}' });
+
+    for (const title of ['Home', 'Index', 'Ledger', 'Garage']) {
+      assert.equal(generator.generate({ link: 'https://www.drive2.ru/l/5/', title }), `${title} (5)`);
+    }
+  });
+});
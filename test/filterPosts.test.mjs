@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { filterPosts } from '../src/filterPosts.mjs';
+
+// Posts in the order of the car page, grouped by topic rather than by date
+const posts = [
+  { link: '/l/1/', category: 'Ремонт', date: '19 января 2014', publishedAt: '2014-01-19T00:00:00+04:00' },
+  { link: '/l/2/', category: 'Тюнинг', date: 'без даты', publishedAt: null },
+  { link: '/l/3/', category: 'Ремонт', date: '5 мая 2016', publishedAt: '2016-05-05T00:00:00+03:00' },
+  { link: '/l/4/', category: 'Автозвук', date: '27 октября 2011' },
+  { link: '/l/5/', category: 'Тюнинг', date: '1 июня 2015', publishedAt: '2015-06-01T00:00:00+03:00' }
+];
+
+const getLinks = filteredPosts => filteredPosts.map(post => post.link);
+
+describe('filterPosts', () => {
+  it('keeps the page order without a limit', () => {
+    assert.deepEqual(getLinks(filterPosts(posts, { category: '!автозвук' })), ['/l/1/', '/l/2/', '/l/3/', '/l/5/']);
+  });
+
+  it('filters by dates as prefixes, skipping undated posts', () => {
+    assert.deepEqual(getLinks(filterPosts(posts, { since: '2014', until: '2015-06' })), ['/l/1/', '/l/5/']);
+  });
+
+  it('keeps the latest posts by publication date with a limit', () => {
+    assert.deepEqual(getLinks(filterPosts(posts, { limit: 3 })), ['/l/3/', '/l/5/', '/l/1/']);
+    assert.deepEqual(getLinks(filterPosts(posts, { category: 'Тюнинг', limit: 1 })), ['/l/5/']);
+  });
+
+  it('puts posts without a date last', () => {
+    assert.deepEqual(getLinks(filterPosts(posts, { limit: 10 })), ['/l/3/', '/l/5/', '/l/1/', '/l/4/', '/l/2/']);
+  });
+
+  it('rejects invalid filters', () => {
+    assert.throws(() => filterPosts(posts, { since: '2014-1' }), /Invalid since date/);
+    assert.throws(() => filterPosts(posts, { limit: 0 }), /Invalid limit/);
+  });
+});
@@ -0,0 +1,173 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { after, before, describe, it } from 'node:test';
+
+import { JSDOM } from 'jsdom';
+
+import { BrowserSession } from '../src/browserSession.mjs';
+import { collectBlogPosts } from '../src/collectBlogPosts.mjs';
+import { extractBlogPost, generateMarkdown } from '../src/extractBlogPost.mjs';
+import { extractCarReview, generateReviewMarkdown } from '../src/extractCarReview.mjs';
+import { FixtureStore } from '../src/fixtures.mjs';
+import { createLogger } from '../src/logger.mjs';
+import { ThrottledError, checkThrottling } from '../src/rateLimiter.mjs';
+
+const CAR_URL = 'https://www.drive2.ru/r/toyota/chaser/288230376151952785/';
+const POST_URL = 'https://www.drive2.ru/l/2790417/';
+
+/**
+ * Create a page running the extractors against a DOM of the saved HTML, in place of a browser one
+ *
+ * Functions are evaluated from their source with JSON arguments and results, the same way Puppeteer does.
+ * @returns {Object} - Page with the methods used by setupPage, loadPage and the extractors
+ */
+function createFixturePage() {
+  let dom = new JSDOM('');
+
+  return {
+    setDefaultNavigationTimeout() {},
+    async setJavaScriptEnabled() {},
+    async setRequestInterception() {},
+    on() {},
+    async setContent(html) {
+      dom = new JSDOM(html, { runScripts: 'outside-only' });
+    },
+    async evaluate(callback, ...args) {
+      const result = await dom.window.eval(`(${callback})(...${JSON.stringify(args)})`);
+      return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+    },
+    async $(selector) {
+      return dom.window.document.querySelector(selector);
+    },
+    url: () => 'about:blank',
+    content: async () => dom.serialize()
+  };
+}
+
+describe('offline extraction from the saved pages', () => {
+  const fixtures = new FixtureStore(new URL('../html', import.meta.url).pathname);
+  const session = new BrowserSession({ fixtures, logger: createLogger({ level: 'silent' }) });
+
+  before(async () => {
+    assert.equal(await fixtures.load(), 2);
+    session.browser = { newPage: async () => createFixturePage(), close: async () => {} };
+  });
+
+  after(() => session.close());
+
+  it('looks up saved pages regardless of the hash and trailing slash', () => {
+    assert.ok(fixtures.has('https://www.drive2.ru/l/2790417#comments'));
+    assert.ok(!fixtures.has('https://www.drive2.ru/l/1/'));
+  });
+
+  it('extracts a blog post with its comments', async () => {
+    const loadedUrls = [];
+    const loadPage = session.loadPage.bind(session);
+    session.loadPage = (page, url) => loadedUrls.push(url) && loadPage(page, url);
+
+    const postData = await extractBlogPost(POST_URL, session);
+    delete session.loadPage;
+
+    // Every comment is on the post page, so the full list is not loaded
+    assert.deepEqual(loadedUrls, [POST_URL]);
+
+    assert.equal(postData.title, '68. Установка новой магнитолы (обновлено 29.01.2014)');
+    assert.equal(postData.publishedAt, '2014-01-19T14:41:06+04:00');
+    assert.equal(postData.author.name, 'loginov-rocks');
+    assert.match(postData.metadata.cost, /^Цена вопроса: 2\s225\s₽$/);
+    assert.match(postData.metadata.mileage, /^Пробег: 244\s292\sкм$/);
+    assert.equal(postData.images.length, 8);
+    assert.equal(postData.comments.length, 16);
+    assert.ok(postData.comments.some(comment => comment.replyTo));
+
+    const markdown = generateMarkdown(postData, { category: 'автозвук' });
+    assert.ok(markdown.startsWith('---\ntitle: "68. Установка новой магнитолы (обновлено 29.01.2014)"\n'));
+    assert.match(markdown, /^date: 2014-01-19$/m);
+    assert.match(markdown, /^cost: 2225$/m);
+    assert.match(markdown, /^## Content\n\n♬ \*\*\*Black Sabbath — Voodoo\*\*\*$/m);
+    assert.match(markdown, /^## Comments$/m);
+  });
+
+  it('extracts the car review', async () => {
+    const reviewData = await extractCarReview(CAR_URL, session);
+
+    assert.equal(reviewData.title, 'Toyota Chaser GX71 1985 Avante');
+    assert.equal(reviewData.passport.make, 'Toyota');
+    assert.equal(reviewData.passport.model, 'Chaser');
+    assert.equal(reviewData.stats.postsCount, 78);
+    // The saved page shows neither the likes of the car nor its body type
+    assert.equal(reviewData.stats.likesCount, null);
+    assert.equal(reviewData.passport.bodyType, null);
+
+    const markdown = generateReviewMarkdown(reviewData);
+    assert.match(markdown, /^posts: 78$/m);
+    assert.doesNotMatch(markdown, /^likes:/m);
+    assert.match(markdown, /^## Отзыв владельца$/m);
+
+    const likedMarkdown = generateReviewMarkdown({
+      ...reviewData,
+      passport: { ...reviewData.passport, bodyType: 'седан' },
+      stats: { ...reviewData.stats, likesCount: 120 }
+    });
+    assert.match(likedMarkdown, /^likes: 120$/m);
+    assert.match(likedMarkdown, /^\| Кузов \| седан \|$/m);
+  });
+
+  it('collects the blog posts of the car', async () => {
+    const posts = await collectBlogPosts(CAR_URL, session);
+
+    assert.equal(posts.length, 78);
+    assert.equal(new Set(posts.map(post => post.link)).size, 78);
+    assert.ok(posts.some(post => post.link === POST_URL));
+  });
+
+  it('fails instead of collecting a partial list when a page can not be read', async () => {
+    const brokenSession = new BrowserSession({ fixtures, logger: createLogger({ level: 'silent' }) });
+    brokenSession.browser = {
+      newPage: async () => ({ ...createFixturePage(), evaluate: async () => { throw new Error('Target closed'); } }),
+      close: async () => {}
+    };
+
+    await assert.rejects(collectBlogPosts(CAR_URL, brokenSession), {
+      message: `Failed to read blog posts from ${CAR_URL}: Target closed`
+    });
+  });
+
+  it('fails instead of taking a page with unreadable pagination links for the last one', async () => {
+    const brokenSession = new BrowserSession({ fixtures, logger: createLogger({ level: 'silent' }) });
+    brokenSession.browser = {
+      newPage: async () => {
+        const page = createFixturePage();
+        const evaluate = page.evaluate;
+        let calls = 0;
+
+        // The posts are read first, then the pagination links
+        page.evaluate = (...args) => (++calls === 2 ? Promise.reject(new Error('Target closed')) : evaluate(...args));
+        return page;
+      },
+      close: async () => {}
+    };
+
+    await assert.rejects(collectBlogPosts(CAR_URL, brokenSession), {
+      message: `Failed to read the pagination links of ${CAR_URL}: Target closed`
+    });
+  });
+});
+
+describe('checkThrottling', () => {
+  const blogPageHtml = readFileSync(new URL('../html/blogPage.html', import.meta.url), 'utf8');
+
+  it('takes a post mentioning a captcha for the post', async () => {
+    const page = createFixturePage();
+    await page.setContent(blogPageHtml.replace('<title>', '<title>Доступ ограничен: опять капча — '));
+
+    await checkThrottling(page, null);
+  });
+
+  it('recognizes block pages without content', async () => {
+    const page = createFixturePage();
+    await page.setContent('<title>Доступ ограничен</title><p>Подтвердите, что вы не робот</p>');
+
+    await assert.rejects(checkThrottling(page, null), ThrottledError);
+  });
+});
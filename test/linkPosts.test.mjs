@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { convertHtmlToMarkdown } from '../src/convertHtmlToMarkdown.mjs';
+import { linkPosts } from '../src/linkPosts.mjs';
+
+const posts = [
+  { baseName: '2014-01-19 - First', link: 'https://www.drive2.ru/l/1/', title: '[Часть 1] Ремонт | итог' },
+  { baseName: '2014-02-01 - Second', link: 'https://www.drive2.ru/l/2/', title: 'Продолжение' }
+];
+
+const firstPost = [
+  'Продолжение [здесь](https://www.drive2.ru/l/2/).',
+  '',
+  'Ссылка в коде: `[здесь](https://www.drive2.ru/l/2/)`',
+  '',
+  '```md',
+  '[здесь](https://www.drive2.ru/l/2/)',
+  '```',
+  ''
+].join('\n');
+
+const secondPost = 'Начало [тут](https://www.drive2.ru/l/1/).\n';
+
+describe('linkPosts', () => {
+  let outputDir;
+
+  const read = baseName => fs.readFile(path.join(outputDir, `${baseName}.md`), 'utf8');
+
+  before(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'drive2-links-'));
+    await fs.writeFile(path.join(outputDir, `${posts[0].baseName}.md`), firstPost);
+    await fs.writeFile(path.join(outputDir, `${posts[1].baseName}.md`), secondPost);
+  });
+
+  after(() => fs.rm(outputDir, { recursive: true, force: true }));
+
+  it('rewrites links outside of code', async () => {
+    assert.deepEqual(await linkPosts(outputDir, posts), { linksCount: 2, backlinksCount: 2 });
+
+    const markdown = await read(posts[0].baseName);
+    assert.ok(markdown.startsWith('Продолжение [здесь](2014-02-01%20-%20Second.md).\n\n'));
+    assert.ok(markdown.includes('Ссылка в коде: `[здесь](https://www.drive2.ru/l/2/)`\n'));
+    assert.ok(markdown.includes('```md\n[здесь](https://www.drive2.ru/l/2/)\n```\n'));
+  });
+
+  it('escapes titles in backlinks', async () => {
+    assert.ok((await read(posts[1].baseName))
+      .endsWith('## Backlinks\n\n- [\\[Часть 1\\] Ремонт \\| итог](2014-01-19%20-%20First.md)\n'));
+  });
+
+  it('keeps titles that wiki-links can not hold as Markdown links', async () => {
+    await linkPosts(outputDir, posts, { style: 'wiki' });
+
+    assert.ok((await read(posts[0].baseName)).endsWith('## Backlinks\n\n- [[2014-02-01 - Second|Продолжение]]\n'));
+    assert.ok((await read(posts[1].baseName))
+      .endsWith('## Backlinks\n\n- [\\[Часть 1\\] Ремонт \\| итог](2014-01-19%20-%20First.md)\n'));
+  });
+});
+
+describe('linkPosts with an unclosed bracket', () => {
+  let outputDir;
+
+  const post = { baseName: 'Oil', link: 'https://www.drive2.ru/l/3/', title: 'Замена масла' };
+
+  before(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'drive2-links-'));
+  });
+
+  after(() => fs.rm(outputDir, { recursive: true, force: true }));
+
+  // Every image used to double the time of matching the links, 40 of them took hours
+  it('rewrites links after many images in linear time', { timeout: 5000 }, async () => {
+    const images = '<img src="https://a.d-cd.net/oil-960.jpg">'.repeat(40);
+    const markdown = convertHtmlToMarkdown(`<p>Замена масла [часть 1</p>${images}`, 'https://www.drive2.ru');
+    const filePath = path.join(outputDir, `${post.baseName}.md`);
+    await fs.writeFile(filePath, `[Начало](https://www.drive2.ru/l/3/) ${markdown}\n`);
+
+    assert.deepEqual(await linkPosts(outputDir, [post]), { linksCount: 1, backlinksCount: 0 });
+    assert.equal(await fs.readFile(filePath, 'utf8'), `[Начало](Oil.md) ${markdown}\n`);
+  });
+});
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { parseDate } from '../src/parseDate.mjs';
+
+// 00:30 of March 11th in Moscow, still March 10th in UTC
+const now = new Date('2024-03-10T21:30:00Z');
+
+describe('parseDate', () => {
+  it('parses relative days in Moscow time', () => {
+    assert.equal(parseDate('сегодня в 12:30', { now }), '2024-03-11T12:30:00+03:00');
+    assert.equal(parseDate('Вчера в 23:05', { now }), '2024-03-10T23:05:00+03:00');
+    assert.equal(parseDate('позавчера', { now }), '2024-03-09T00:00:00+03:00');
+    assert.equal(parseDate('12:30', { now }), '2024-03-11T12:30:00+03:00');
+  });
+
+  it('parses times ago', () => {
+    assert.equal(parseDate('5 минут назад', { now }), '2024-03-11T00:25:00+03:00');
+    assert.equal(parseDate('час назад', { now }), '2024-03-10T23:30:00+03:00');
+  });
+
+  it('parses dates with month names', () => {
+    assert.equal(parseDate('27 октября 2011'), '2011-10-27T00:00:00+04:00');
+    assert.equal(parseDate('19 января 2014 в 15:18'), '2014-01-19T15:18:00+04:00');
+    assert.equal(parseDate('19 янв. 2014'), '2014-01-19T00:00:00+04:00');
+    assert.equal(parseDate('январь 2014'), '2014-01-01T00:00:00+04:00');
+  });
+
+  it('takes dates without a year from the last 12 months', () => {
+    assert.equal(parseDate('19 января в 15:18', { now }), '2024-01-19T15:18:00+03:00');
+    assert.equal(parseDate('11 марта', { now }), '2024-03-11T00:00:00+03:00');
+    assert.equal(parseDate('5 декабря', { now }), '2023-12-05T00:00:00+03:00');
+  });
+
+  it('parses dates with dots', () => {
+    assert.equal(parseDate('19.01.2014 15:18'), '2014-01-19T15:18:00+04:00');
+    assert.equal(parseDate('19.01.14'), '2014-01-19T00:00:00+04:00');
+  });
+
+  it('keeps the offset of ISO timestamps, dropping fractional seconds', () => {
+    assert.equal(parseDate('2014-01-19T14:41:06.123+04:00'), '2014-01-19T14:41:06+04:00');
+    assert.equal(parseDate('2014-01-19T14:41:06+0400'), '2014-01-19T14:41:06+04:00');
+    assert.equal(parseDate('2014-01-19T10:41:06.5Z'), '2014-01-19T10:41:06+00:00');
+    assert.equal(parseDate('2021-06-01T09:00:00-05:00'), '2021-06-01T09:00:00-05:00');
+  });
+
+  it('gives ISO timestamps without an offset the Moscow one', () => {
+    assert.equal(parseDate('2014-01-19T14:41:06'), '2014-01-19T14:41:06+04:00');
+    assert.equal(parseDate('2014-01-19'), '2014-01-19T00:00:00+04:00');
+  });
+
+  it('uses the Moscow offset of the date itself', () => {
+    assert.equal(parseDate('15.01.2010'), '2010-01-15T00:00:00+03:00');
+    assert.equal(parseDate('15.07.2010'), '2010-07-15T00:00:00+04:00');
+    assert.equal(parseDate('15.07.2012'), '2012-07-15T00:00:00+04:00');
+    assert.equal(parseDate('15.07.2015'), '2015-07-15T00:00:00+03:00');
+  });
+
+  it('supports other time zones', () => {
+    assert.equal(parseDate('19.01.2014 15:18', { timeZone: 'Asia/Novosibirsk' }), '2014-01-19T15:18:00+07:00');
+  });
+
+  it('returns null for texts that are not dates', () => {
+    assert.equal(parseDate('30 февраля 2014'), null);
+    assert.equal(parseDate('без даты'), null);
+    assert.equal(parseDate(''), null);
+    assert.equal(parseDate(null), null);
+  });
+});
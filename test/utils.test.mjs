@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { MILEAGE_UNIT_REGEX, parseCost, parseMileage, parseNumber } from '../src/utils.mjs';
+
+describe('parseNumber', () => {
+  it('parses numbers grouped with spaces', () => {
+    assert.equal(parseNumber('Пробег: 244 292 км'), 244292);
+    assert.equal(parseNumber('2 225 ₽'), 2225);
+  });
+
+  it('takes a comma followed by three digits for a thousands separator', () => {
+    assert.equal(parseNumber('$1,500'), 1500);
+    assert.equal(parseNumber('1,500,000 руб.'), 1500000);
+    assert.equal(parseNumber('$1,500.50'), 1500.5);
+  });
+
+  it('parses decimal commas and thousands suffixes', () => {
+    assert.equal(parseNumber('1,2K'), 1200);
+    assert.equal(parseNumber('3,5 тыс'), 3500);
+    assert.equal(parseNumber('0,75'), 0.75);
+  });
+
+  it('returns null without a number', () => {
+    assert.equal(parseNumber('нет'), null);
+    assert.equal(parseNumber(''), null);
+  });
+});
+
+describe('parseCost', () => {
+  it('recognizes the currency', () => {
+    assert.deepEqual(parseCost('Цена вопроса: 15 000 ₽'), { amount: 15000, currency: 'RUB' });
+    assert.deepEqual(parseCost('$1,500'), { amount: 1500, currency: 'USD' });
+  });
+});
+
+describe('parseMileage', () => {
+  it('parses kilometers', () => {
+    assert.deepEqual(parseMileage('Пробег: 123 456 км'), { value: 123456, unit: 'km', km: 123456 });
+  });
+
+  it('parses miles in every form', () => {
+    assert.deepEqual(parseMileage('76 543 миль'), { value: 76543, unit: 'mi', km: 123184 });
+    assert.equal(parseMileage('1 миля').unit, 'mi');
+    assert.equal(parseMileage('2 мили').unit, 'mi');
+    assert.equal(parseMileage('76,543 miles').unit, 'mi');
+    assert.equal(parseMileage('76,543 mi').unit, 'mi');
+  });
+
+  it('shares the unit with the mileage of collected posts', () => {
+    assert.ok(MILEAGE_UNIT_REGEX.test('Пробег 244 292 км'));
+    assert.ok(MILEAGE_UNIT_REGEX.test('Пробег 2 мили'));
+    assert.ok(!MILEAGE_UNIT_REGEX.test('19 января 2014'));
+  });
+});